@@ -0,0 +1,3615 @@
+// English ships with every build so there is always text to fall back to;
+// pull-to-refresh.js adds the other built-in languages from translations.json
+const ENGLISH_TRANSLATIONS = {
+	indicator: '↓ Pull to refresh',
+	release: '↻ Release to refresh',
+	refreshing: '⏳ Refreshing...',
+	error: '⚠ Refresh failed',
+	loadMore: '↑ Pull to load more',
+	loadMoreRelease: '↻ Release to load more',
+	loadingMore: '⏳ Loading more...',
+	refreshButton: 'Refresh',
+	lastUpdated: 'Updated {time}',
+	upToDate: '✓ Up to date',
+	newItems: {
+		one: '✓ {count} new item',
+		other: '✓ {count} new items',
+	},
+};
+
+// Sign of the pointer movement that pulls away from each edge
+const EDGE_SIGNS = { top: 1, left: 1, bottom: -1, right: -1 };
+const OPPOSITE_EDGES = {
+	top: 'bottom',
+	bottom: 'top',
+	left: 'right',
+	right: 'left',
+};
+// The edge a refresh pull starts from for each pull direction
+const DIRECTION_EDGES = {
+	down: 'top',
+	up: 'bottom',
+	right: 'left',
+	left: 'right',
+};
+// Quiet time after the last wheel event that counts as releasing a wheel pull
+const WHEEL_RELEASE_DELAY = 200;
+// Pixels per line for wheel events that report deltas in lines
+const WHEEL_LINE_HEIGHT = 16;
+// Milliseconds per unit accepted by duration attributes such as auto-refresh
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Shortest auto-refresh interval, so a typo can't poll in a tight loop
+const MIN_AUTO_REFRESH = 1000;
+// How long the "up to date" message shows after a skipped refresh
+const UP_TO_DATE_DURATION = 1500;
+// Units of the "last updated" line, largest first; under a minute reads "now"
+const RELATIVE_TIME_UNITS = [
+	['day', 86400000],
+	['hour', 3600000],
+	['minute', 60000],
+];
+
+// Built-in indicator graphics, keyed by indicator-style ("text" has none)
+const INDICATOR_GRAPHICS = {
+	spinner: `<svg class="ptr-spinner" viewBox="0 0 24 24"><circle cx="12" cy="12" r="9" pathLength="100" /></svg>`,
+	arc: `<svg class="ptr-arc" viewBox="0 0 24 24"><circle class="ptr-track" cx="12" cy="12" r="9" /><circle class="ptr-fill" cx="12" cy="12" r="9" pathLength="100" /></svg>`,
+	material: `<svg class="ptr-material" viewBox="0 0 24 24"><circle cx="12" cy="12" r="7" pathLength="100" /><path d="M16.54 6.12 L14.84 3.25 L13.48 7.43 Z" /></svg>`,
+	ios: `<svg class="ptr-ios" viewBox="0 0 24 24">${Array.from(
+		{ length: 8 },
+		(_, tick) =>
+			`<line x1="12" y1="3" x2="12" y2="7" transform="rotate(${tick * 45} 12 12)" style="--ptr-tick: ${tick}" />`,
+	).join('')}</svg>`,
+};
+
+// Scripts written right to left, for engines without Intl.Locale text info
+const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm'];
+
+// The states each refresh state may move to; other transitions are ignored
+const STATE_TRANSITIONS = {
+	idle: ['pulling', 'refreshing', 'completing', 'error', 'disabled'],
+	pulling: ['armed', 'idle', 'disabled'],
+	armed: ['pulling', 'refreshing', 'completing', 'idle', 'disabled'],
+	refreshing: ['completing', 'error', 'idle', 'disabled'],
+	completing: ['idle', 'pulling', 'refreshing', 'error', 'disabled'],
+	error: ['idle', 'pulling', 'refreshing', 'completing', 'disabled'],
+	disabled: ['idle'],
+};
+
+/**
+ * PullToRefreshElement - Web component that enables pull-to-refresh functionality
+ *
+ * @element pull-to-refresh
+ *
+ * @attr {number} threshold - Distance in pixels to trigger refresh (default: 80)
+ * @attr {number} resistance - How strongly the pull resists past the threshold, from 0 (none) to 1 (rigid) (default: 0.5)
+ * @attr {number} max-distance - Maximum distance in pixels the indicator can be pulled; 0 means no limit (default: 0)
+ * @attr {string} mode - How the indicator enters: "overlay" slides it over the content, "push" moves the content with it (default: "overlay")
+ * @attr {string} indicator-style - Built-in indicator rendering: "text", "spinner", "arc", "material" or "ios" (default: "text")
+ * @attr {string} indicator-text - Text shown when pulling down (default: localized "↓ Pull to refresh")
+ * @attr {string} release-text - Text shown when ready to release (default: localized "↻ Release to refresh")
+ * @attr {string} refreshing-text - Text shown while refreshing (default: localized "⏳ Refreshing...")
+ * @attr {string} error-text - Text shown when a refresh fails (default: localized "⚠ Refresh failed")
+ * @attr {string} up-to-date-text - Text shown when min-interval skips a refresh (default: localized "✓ Up to date")
+ * @attr {number} complete-duration - Time in milliseconds a success message from complete({ message }) or complete({ count }) stays visible (default: 2000)
+ * @attr {number} error-duration - Time in milliseconds the error message stays visible (default: 3000)
+ * @attr {boolean} tap-to-retry - Shows the error message as a button that retries the refresh
+ * @attr {string} direction - Direction of the refresh pull: "down", "up", "left" or "right", mirrored in RTL (default: "down")
+ * @attr {string} directions - Space-separated edges that can be pulled: "top"/"start" (refresh) and/or "bottom"/"end" (load more) (default: "top")
+ * @attr {string} refresh-button - Renders a refresh button for keyboard and assistive technology users: "visible", or "hidden" to show it only while focused
+ * @attr {string} refresh-button-text - Label of the refresh button (default: localized "Refresh")
+ * @attr {string} keyboard-shortcut - Key combination that refreshes while focus is inside, e.g. "r", "F5" or "Control+r"
+ * @attr {number} load-more-threshold - Distance in pixels to trigger loading more (default: threshold)
+ * @attr {string} load-more-text - Text shown when pulling up at the bottom (default: localized "↑ Pull to load more")
+ * @attr {string} load-more-release-text - Text shown when ready to release at the bottom (default: localized "↻ Release to load more")
+ * @attr {string} loading-more-text - Text shown while loading more (default: localized "⏳ Loading more...")
+ * @attr {string} ignore-selector - Pulls starting inside elements matching this selector are ignored, like those inside [data-ptr-ignore]
+ * @attr {string} src - URL fetched on refresh when no handler calls waitUntil() or complete() while ptr:refresh dispatches; the returned HTML replaces the content
+ * @attr {string} select - CSS selector picking the part of the src response that replaces the content (default: the whole response)
+ * @attr {boolean} wheel - Lets mouse wheels and trackpads pull past the edge; pausing counts as the release
+ * @attr {string} scroll-target - Scroll container to watch instead of the internal one: "document" or a CSS selector; a selector that is invalid or matches nothing keeps the internal one until a match turns up
+ * @attr {boolean} show-last-updated - Adds a line such as "Updated 3 minutes ago" to the indicator once a refresh has succeeded
+ * @attr {string} min-interval - Cooldown after a successful refresh, e.g. "30s"; pulls, button presses and shortcuts within it show "Up to date" instead of refreshing
+ * @attr {string} coalesce - What triggerRefresh() does while a refresh is running: "join" returns the running refresh, "queue" runs one more afterwards (default: "join")
+ * @attr {string} auto-refresh - Refreshes on this interval, e.g. "60s", "5m" or plain milliseconds, and never more often than once a second; pauses while the page is hidden
+ * @attr {string} stale-after - Refreshes when the page becomes visible, the network returns or the element reconnects and the content is older than this, e.g. "30m"
+ * @attr {number} refresh-timeout - Time in milliseconds before a refresh times out; 0 disables the timeout (default: 2000)
+ * @attr {string} lang - BCP 47 language tag for localization (falls back to closest [lang], document lang, or 'en'); translations are negotiated through script, region and base language, then navigator.languages
+ * @attr {boolean} disabled - Disables the pull-to-refresh functionality
+ * @attr {boolean} disable-selection - Disables text selection during pull gesture
+ *
+ * @prop {string} state - Read-only refresh state: "idle", "pulling", "armed", "refreshing", "completing", "error" or "disabled"; reflected as the state attribute and as :state() custom states
+ * @prop {Date|null} lastRefreshed - Read-only time of the last successful refresh
+ * @prop {Function|null} onrefresh - Refresh handler; a returned promise keeps the component refreshing until it settles
+ * @prop {Object|null} translations - Translation sets for this element only, keyed by language tag like registerTranslations(); they win over the global ones key by key
+ * @prop {Function|null} canRefresh - Consulted before a pull arms or a refresh starts; return false to veto the refresh
+ * @prop {Function|null} resistanceFunction - Maps the raw pull distance to the distance shown, replacing the built-in rubber band
+ *
+ * @fires ptr:state-change - Fired when the refresh state changes, contains { from, to, reason } in detail
+ * @fires ptr:pull-start - Fired when pull gesture starts, contains { edge, axis } in detail; cancel it to abort the gesture
+ * @fires ptr:pull-move - Fired during pull gesture, contains { distance, resistedDistance, edge, axis } in detail
+ * @fires ptr:pull-end - Fired when pull gesture ends, contains { edge, axis } in detail
+ * @fires ptr:refresh - Fired when refresh is triggered, contains { complete, waitUntil, signal, source } in detail; cancel it to abort the refresh
+ * @fires ptr:refresh-skipped - Fired when a refresh is skipped, contains { reason, source } in detail
+ * @fires ptr:refresh-complete - Fired when refresh completes, contains { result } in detail
+ * @fires ptr:refresh-error - Fired when refresh fails, contains { error } in detail
+ * @fires ptr:refresh-timeout - Fired when refresh times out, contains { timeout } in detail
+ * @fires ptr:load-more - Fired when loading more is triggered, contains { complete, waitUntil, signal } in detail
+ * @fires ptr:load-more-complete - Fired when loading more completes
+ * @fires ptr:load-more-error - Fired when loading more fails, contains { error } in detail
+ * @fires ptr:load-more-timeout - Fired when loading more times out, contains { timeout } in detail
+ *
+ * @slot - Default slot for content
+ * @slot indicator - Optional custom indicator element
+ * @slot load-more-indicator - Optional custom indicator element for the bottom edge
+ *
+ * @cssprop --ptr-indicator-height - Minimum height of the indicator area; taller slotted indicators grow it (default: 3.125rem)
+ * @cssprop --ptr-indicator-bg - Background color of the indicator (default: ButtonFace)
+ * @cssprop --ptr-indicator-color - Text color of the indicator (default: ButtonText)
+ * @cssprop --ptr-indicator-font-size - Font size of the indicator text (default: 0.875rem)
+ * @cssprop --ptr-transition-duration - Duration of indicator transitions (default: 0.2s)
+ * @cssprop --ptr-progress - Set on the host during a pull: distance pulled divided by the threshold (0 to 1 and beyond)
+ * @cssprop --ptr-distance - Set on the host during a pull: distance the indicator has moved, in pixels
+ *
+ * @csspart indicator - The pull indicators; also carries `active` while armed or refreshing, `success` while a success message shows and `error` after a failed refresh
+ * @csspart indicator-text - The default text inside the indicators
+ * @csspart indicator-graphic - The built-in graphic inside the indicators when indicator-style isn't "text"
+ * @csspart load-more-indicator - The load-more indicator at the end edge
+ * @csspart load-more-indicator-text - The default text inside the load-more indicator
+ * @csspart load-more-indicator-graphic - The built-in graphic inside the load-more indicator
+ * @csspart last-updated - The "last updated" line inside the indicator
+ * @csspart retry-button - The button that shows the error message and retries with tap-to-retry
+ * @csspart refresh-button - The refresh button rendered by the refresh-button attribute
+ * @csspart container - The scroll container
+ * @csspart content - The wrapper around the slotted content
+ */
+export class PullToRefreshElement extends HTMLElement {
+	static defaultTranslations = { en: ENGLISH_TRANSLATIONS };
+
+	static customTranslations = {};
+
+	static __localeLoader = null;
+
+	// Pending and finished locale loads, keyed by normalized tag
+	static __localeLoads = new Map();
+
+	static registerTranslations(translations) {
+		const merged = { ...this.customTranslations };
+		for (const [tag, set] of Object.entries(translations)) {
+			// Registering a tag again adds to its earlier keys
+			merged[tag] = { ...merged[tag], ...set };
+		}
+		this.customTranslations = merged;
+	}
+
+	static setLocaleLoader(loader) {
+		this.__localeLoader = typeof loader === 'function' ? loader : null;
+		this.__localeLoads = new Map();
+	}
+
+	static __getTranslationTable() {
+		// Read through `this` so a subclass can bring its own defaults
+		const { defaultTranslations, customTranslations } = this;
+		const cache = this.__translationTable;
+		if (
+			cache?.defaults === defaultTranslations &&
+			cache.custom === customTranslations
+		) {
+			return cache.sets;
+		}
+
+		const sets = this.__mergeTranslations(
+			this.__mergeTranslations({}, defaultTranslations),
+			customTranslations,
+		);
+		this.__translationTable = {
+			defaults: defaultTranslations,
+			custom: customTranslations,
+			sets,
+		};
+		return sets;
+	}
+
+	static __mergeTranslations(sets, translations) {
+		// Tags are case-insensitive, so key the sets by their canonical form
+		const merged = { ...sets };
+		for (const [tag, set] of Object.entries(translations ?? {})) {
+			const key = this.__normalizeLocale(tag);
+			merged[key] = { ...merged[key], ...set };
+		}
+		return merged;
+	}
+
+	static __requestLocale(tag) {
+		const key = this.__normalizeLocale(tag);
+		if (!this.__localeLoader) {
+			return null;
+		}
+		// Each class registers into its own table, so it tracks its own loads
+		if (!Object.hasOwn(this, '__localeLoads')) {
+			this.__localeLoads = new Map();
+		}
+		if (!this.__localeLoads.has(key)) {
+			const load = Promise.resolve()
+				.then(() => this.__localeLoader(tag))
+				.then((result) => {
+					// Accept JSON modules as well as plain translation sets
+					const set = result?.default ?? result;
+					if (set && typeof set === 'object') {
+						this.registerTranslations({ [tag]: set });
+					}
+				})
+				.catch(() => {
+					// Keep showing the fallback text and try again next time
+					this.__localeLoads.delete(key);
+				});
+			this.__localeLoads.set(key, load);
+		}
+		return this.__localeLoads.get(key);
+	}
+
+	static __normalizeLocale(tag) {
+		try {
+			return Intl.getCanonicalLocales(tag)[0].toLowerCase();
+		} catch {
+			return String(tag).toLowerCase();
+		}
+	}
+
+	static __getLocaleFallbacks(tag) {
+		const tags = [tag];
+		try {
+			const locale = new Intl.Locale(tag);
+			const { language, region } = locale;
+			// Fill in the likely script so zh-TW reaches zh-Hant
+			const { script } = locale.maximize();
+			if (script) {
+				if (region) {
+					tags.push(`${language}-${script}-${region}`);
+				}
+				tags.push(`${language}-${script}`);
+			}
+			if (region) {
+				tags.push(`${language}-${region}`);
+			}
+			tags.push(language);
+		} catch {
+			tags.push(String(tag).split('-')[0]);
+		}
+		return tags.map((fallback) => this.__normalizeLocale(fallback));
+	}
+
+	static __getTextDirection(tag) {
+		try {
+			const locale = new Intl.Locale(tag);
+			const info =
+				typeof locale.getTextInfo === 'function'
+					? locale.getTextInfo()
+					: locale.textInfo;
+			if (info?.direction) {
+				return info.direction;
+			}
+			return RTL_SCRIPTS.includes(locale.maximize().script)
+				? 'rtl'
+				: 'ltr';
+		} catch {
+			return 'ltr';
+		}
+	}
+
+	static get observedAttributes() {
+		return [
+			'threshold',
+			'resistance',
+			'max-distance',
+			'mode',
+			'indicator-style',
+			'indicator-text',
+			'release-text',
+			'refreshing-text',
+			'error-text',
+			'up-to-date-text',
+			'error-duration',
+			'complete-duration',
+			'tap-to-retry',
+			'refresh-timeout',
+			'auto-refresh',
+			'stale-after',
+			'show-last-updated',
+			'min-interval',
+			'coalesce',
+			'direction',
+			'directions',
+			'refresh-button',
+			'refresh-button-text',
+			'keyboard-shortcut',
+			'load-more-threshold',
+			'load-more-text',
+			'load-more-release-text',
+			'loading-more-text',
+			'scroll-target',
+			'ignore-selector',
+			'src',
+			'select',
+			'wheel',
+			'lang',
+			'disabled',
+			'disable-selection',
+		];
+	}
+
+	constructor() {
+		super();
+		this.attachShadow({ mode: 'open' });
+		this.__internals =
+			typeof this.attachInternals === 'function'
+				? this.attachInternals()
+				: null;
+
+		// State management
+		this.startX = 0;
+		this.startY = 0;
+		// Distance pulled away from the edge, along the pull axis
+		this.currentY = 0;
+		this.isPulling = false;
+		this.isPullingConfirmed = false;
+		this.__isLoadingMore = false;
+		this.__state = 'idle';
+		this.__completingTimeoutId = null;
+		this.__autoRefreshTimeoutId = null;
+		this.__lastRefreshed = null;
+		// When the content was last known fresh: first connection or last refresh
+		this.__freshSince = null;
+		this.__lastUpdatedTimeoutId = null;
+		// Success message held in the indicator while completing
+		this.__completionMessage = null;
+		// A refresh requested while another runs, started once that one ends
+		this.__queuedRefresh = null;
+		// ptr:refresh listeners on this element, so src knows if it's needed
+		this.__pullEdge = null;
+		// The pointer that started the current pull
+		this.__pointerId = null;
+		// Virtual pointer position of an in-progress wheel pull
+		this.__wheelPull = null;
+		this.__wheelReleaseTimeoutId = null;
+		this.__pullCandidates = { start: false, end: false };
+		this.__edges = { axis: 'y', start: 'top', end: 'bottom' };
+		this.__listenersAttached = false;
+		this.__errorTimeoutId = null;
+		this.__refreshCycle = null;
+		this.__loadMoreCycle = null;
+		this.__onrefresh = null;
+		this.__resistanceFunction = null;
+		this.__canRefresh = null;
+		this.__translations = null;
+		// Whether canRefresh let the current gesture arm (null until asked)
+		this.__armAllowed = null;
+		this.__ariaLiveResetTimeoutId = null;
+		this.__indicatorResizeObserver = null;
+		// Measured size of each indicator along the pull axis
+		this.__indicatorSizes = { start: 0, end: 0 };
+
+		// Cached DOM references (set after render)
+		this._container = null;
+		this._content = null;
+		this.__scrollElement = null;
+		this.__scrollEventTarget = null;
+		this._indicator = null;
+		this._indicatorTextEl = null;
+		this._loadMoreIndicator = null;
+		this._loadMoreTextEl = null;
+		this._refreshButton = null;
+
+		// Language detection
+		this.__lang = 'en';
+
+		this.__pointerDownOptions = { passive: true };
+		this.__pointerMoveOptions = { passive: false };
+		this.__pointerUpOptions = { passive: true };
+		this.__pointerCancelOptions = { passive: true };
+		this.__scrollOptions = { passive: true };
+		this.__wheelOptions = { passive: false };
+
+		// Bind event handlers
+		this.handleStart = this.handleStart.bind(this);
+		this.handleMove = this.handleMove.bind(this);
+		this.handleEnd = this.handleEnd.bind(this);
+		this.handleScroll = this.handleScroll.bind(this);
+		this.handleIndicatorClick = this.handleIndicatorClick.bind(this);
+		this.handleRefreshButtonClick =
+			this.handleRefreshButtonClick.bind(this);
+		this.handleKeyDown = this.handleKeyDown.bind(this);
+		this.handleWheel = this.handleWheel.bind(this);
+		this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+		this.handleOnline = this.handleOnline.bind(this);
+	}
+
+	connectedCallback() {
+		this.__upgradeProperty('threshold');
+		this.__upgradeProperty('resistance');
+		this.__upgradeProperty('maxDistance');
+		this.__upgradeProperty('mode');
+		this.__upgradeProperty('indicatorStyle');
+		this.__upgradeProperty('resistanceFunction');
+		this.__upgradeProperty('canRefresh');
+		this.__upgradeProperty('translations');
+		this.__upgradeProperty('indicatorText');
+		this.__upgradeProperty('releaseText');
+		this.__upgradeProperty('refreshingText');
+		this.__upgradeProperty('errorText');
+		this.__upgradeProperty('upToDateText');
+		this.__upgradeProperty('errorDuration');
+		this.__upgradeProperty('completeDuration');
+		this.__upgradeProperty('tapToRetry');
+		this.__upgradeProperty('refreshTimeout');
+		this.__upgradeProperty('autoRefresh');
+		this.__upgradeProperty('staleAfter');
+		this.__upgradeProperty('showLastUpdated');
+		this.__upgradeProperty('minInterval');
+		this.__upgradeProperty('coalesce');
+		this.__upgradeProperty('direction');
+		this.__upgradeProperty('directions');
+		this.__upgradeProperty('refreshButton');
+		this.__upgradeProperty('refreshButtonText');
+		this.__upgradeProperty('keyboardShortcut');
+		this.__upgradeProperty('loadMoreThreshold');
+		this.__upgradeProperty('loadMoreText');
+		this.__upgradeProperty('loadMoreReleaseText');
+		this.__upgradeProperty('loadingMoreText');
+		this.__upgradeProperty('scrollTarget');
+		this.__upgradeProperty('ignoreSelector');
+		this.__upgradeProperty('src');
+		this.__upgradeProperty('select');
+		this.__upgradeProperty('wheel');
+		this.__upgradeProperty('disabled');
+		this.__upgradeProperty('disableSelection');
+		this.__upgradeProperty('lang');
+		this.__upgradeProperty('onrefresh');
+		this.__lang = this.__resolveLang();
+		this.__reflectState();
+		this.__loadLocale();
+
+		this.render();
+		this.setupEventListeners();
+		this.__observeIndicatorSize();
+		document.addEventListener(
+			'visibilitychange',
+			this.handleVisibilityChange,
+		);
+		window.addEventListener('online', this.handleOnline);
+		if (this.__freshSince === null) {
+			this.__freshSince = Date.now();
+		} else {
+			this.__refreshIfStale();
+		}
+		this.__scheduleAutoRefresh();
+	}
+
+	disconnectedCallback() {
+		this.removeEventListeners();
+		this.__unobserveIndicatorSize();
+		document.removeEventListener(
+			'visibilitychange',
+			this.handleVisibilityChange,
+		);
+		window.removeEventListener('online', this.handleOnline);
+		this.__clearAutoRefreshTimeout();
+		this.__clearLastUpdatedTimeout();
+		this.__clearSuccessMessage();
+		this.__dropQueuedRefresh();
+		const reason = new DOMException(
+			'The element was disconnected.',
+			'AbortError',
+		);
+		this.cancelRefresh(reason);
+		this.cancelLoadMore(reason);
+		this.__clearErrorState();
+		this.__clearAriaLiveResetTimeout();
+		this.__clearCompletingTimeout();
+		if (!this.disabled) {
+			this.__setState('idle', 'disconnected');
+		}
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (oldValue === newValue) {
+			return;
+		}
+
+		switch (name) {
+			case 'lang':
+				this.__lang = this.__resolveLang();
+				this.__updateTextDirection();
+				this.updateIndicatorText({ force: true });
+				this.__loadLocale();
+				break;
+			case 'indicator-text':
+			case 'release-text':
+			case 'refreshing-text':
+			case 'error-text':
+			case 'up-to-date-text':
+			case 'load-more-text':
+			case 'load-more-release-text':
+			case 'loading-more-text':
+			case 'refresh-button-text':
+				this.updateIndicatorText({ force: true });
+				break;
+			case 'refresh-button':
+				if (this._refreshButton) {
+					this._refreshButton.hidden = this.refreshButton === null;
+				}
+				break;
+			case 'threshold':
+			case 'load-more-threshold': {
+				if (newValue !== null) {
+					const numericValue = Number(newValue);
+					if (!Number.isFinite(numericValue) || numericValue < 0) {
+						this.removeAttribute(name);
+						break;
+					}
+				}
+				this.updateIndicatorText({ force: true });
+				break;
+			}
+			case 'resistance': {
+				if (newValue !== null) {
+					const numericValue = Number(newValue);
+					if (
+						!Number.isFinite(numericValue) ||
+						numericValue < 0 ||
+						numericValue > 1
+					) {
+						this.removeAttribute('resistance');
+					}
+				}
+				break;
+			}
+			case 'max-distance':
+			case 'error-duration':
+			case 'complete-duration':
+			case 'refresh-timeout': {
+				if (newValue !== null) {
+					const numericValue = Number(newValue);
+					if (!Number.isFinite(numericValue) || numericValue < 0) {
+						this.removeAttribute(name);
+					}
+				}
+				break;
+			}
+			case 'auto-refresh':
+				this.__scheduleAutoRefresh();
+				break;
+			case 'show-last-updated':
+				this.__updateLastUpdated();
+				break;
+			case 'tap-to-retry':
+				this.__updateIndicatorTextForState();
+				break;
+			case 'disabled':
+				if (this._refreshButton) {
+					this._refreshButton.disabled = this.disabled;
+				}
+				if (this.disabled) {
+					this.removeEventListeners();
+					this.__dropQueuedRefresh();
+					this.cancelRefresh(
+						new DOMException(
+							'The element was disabled.',
+							'AbortError',
+						),
+					);
+					this.__clearErrorState();
+					this.__setState('disabled', 'disabled');
+					this.resetIndicator();
+				} else {
+					this.setupEventListeners();
+					this.updateIndicatorText({ force: true });
+					this.__setState('idle', 'enabled');
+				}
+				break;
+			case 'direction':
+				this.__updateIndicatorEdges();
+				this.__measureIndicators();
+				if (!this.isRefreshing && !this.isErrored) {
+					this.resetIndicator();
+				}
+				if (!this.isLoadingMore) {
+					this.__resetLoadMoreIndicator();
+				}
+				this.__updateContentOffset();
+				break;
+			case 'mode':
+				this.__updateContentOffset();
+				break;
+			case 'indicator-style':
+				this.__updateIndicatorGraphics();
+				break;
+			case 'scroll-target':
+			case 'wheel':
+				if (this.__listenersAttached) {
+					this.removeEventListeners();
+					this.setupEventListeners();
+				}
+				break;
+			case 'disable-selection':
+				if (!this.disableSelection) {
+					this.removeAttribute('pulling');
+				}
+				break;
+			default:
+				break;
+		}
+	}
+
+	__getTranslations() {
+		return this.__negotiateTranslations().translations;
+	}
+
+	__getFormatLocale() {
+		// Format in the language the text is shown in, and never let a bad
+		// tag make Intl throw halfway through a refresh
+		try {
+			return Intl.getCanonicalLocales(
+				this.__negotiateTranslations().locale,
+			)[0];
+		} catch {
+			return 'en';
+		}
+	}
+
+	__negotiateTranslations() {
+		const table = this.constructor.__getTranslationTable();
+		const languages = navigator.languages ?? [navigator.language];
+		const cache = this.__translationCache;
+		if (
+			cache?.table === table &&
+			cache.own === this.__translations &&
+			cache.lang === this.__lang &&
+			cache.languages === languages.join()
+		) {
+			return cache;
+		}
+
+		// This element's own translations win over the global ones
+		const sets = this.__translations
+			? this.constructor.__mergeTranslations(table, this.__translations)
+			: table;
+
+		// The element's language with its script and region variants, then
+		// the user's preferred languages, then English
+		const chain = [
+			...new Set(
+				[this.__lang, ...languages.filter(Boolean), 'en'].flatMap(
+					(tag) => this.constructor.__getLocaleFallbacks(tag),
+				),
+			),
+		].filter((tag) => sets[tag]);
+
+		// Earlier locales win key by key, so partial sets fall back per key
+		this.__translationCache = {
+			table,
+			own: this.__translations,
+			lang: this.__lang,
+			languages: languages.join(),
+			locale: chain[0] ?? 'en',
+			translations: Object.assign(
+				{},
+				...chain.map((tag) => sets[tag]).reverse(),
+			),
+		};
+		return this.__translationCache;
+	}
+
+	__loadLocale() {
+		const lang = this.__lang;
+		const table = this.constructor.__getTranslationTable();
+		// Ask for the exact tag, so a pt-BR loader still runs when pt exists;
+		// the loader can return nothing for tags it doesn't have
+		if (table[this.constructor.__normalizeLocale(lang)]) {
+			return;
+		}
+
+		this.constructor.__requestLocale(lang)?.then(() => {
+			if (this.__lang === lang) {
+				this.__updateTextDirection();
+				this.updateIndicatorText({ force: true });
+			}
+		});
+	}
+
+	__updateTextDirection() {
+		// Follow the language the built-in text is actually shown in
+		const dir = this.constructor.__getTextDirection(
+			this.__negotiateTranslations().locale,
+		);
+		for (const element of [
+			this._indicator,
+			this._loadMoreIndicator,
+			this._refreshButton,
+		]) {
+			element?.setAttribute('dir', dir);
+		}
+	}
+
+	setupEventListeners() {
+		if (this.disabled || this.__listenersAttached) {
+			return;
+		}
+
+		this.addEventListener(
+			'pointerdown',
+			this.handleStart,
+			this.__pointerDownOptions,
+		);
+		this.addEventListener(
+			'pointermove',
+			this.handleMove,
+			this.__pointerMoveOptions,
+		);
+		this.addEventListener(
+			'pointerup',
+			this.handleEnd,
+			this.__pointerUpOptions,
+		);
+		this.addEventListener(
+			'pointercancel',
+			this.handleEnd,
+			this.__pointerCancelOptions,
+		);
+		this.addEventListener('keydown', this.handleKeyDown);
+		if (this.wheel) {
+			this.addEventListener(
+				'wheel',
+				this.handleWheel,
+				this.__wheelOptions,
+			);
+		}
+
+		if (!this._container) {
+			this._container = this.shadowRoot.querySelector('.ptr-container');
+		}
+		this.__bindScrollElement(this.__resolveScrollElement());
+		if (this._indicator) {
+			this._indicator.addEventListener(
+				'click',
+				this.handleIndicatorClick,
+			);
+		}
+		if (this._refreshButton) {
+			this._refreshButton.addEventListener(
+				'click',
+				this.handleRefreshButtonClick,
+			);
+		}
+
+		this.__listenersAttached = true;
+	}
+
+	removeEventListeners() {
+		if (!this.__listenersAttached) {
+			return;
+		}
+
+		this.removeEventListener(
+			'pointerdown',
+			this.handleStart,
+			this.__pointerDownOptions,
+		);
+		this.removeEventListener(
+			'pointermove',
+			this.handleMove,
+			this.__pointerMoveOptions,
+		);
+		this.removeEventListener(
+			'pointerup',
+			this.handleEnd,
+			this.__pointerUpOptions,
+		);
+		this.removeEventListener(
+			'pointercancel',
+			this.handleEnd,
+			this.__pointerCancelOptions,
+		);
+		this.removeEventListener('keydown', this.handleKeyDown);
+		this.removeEventListener(
+			'wheel',
+			this.handleWheel,
+			this.__wheelOptions,
+		);
+		// No wheel event will end a wheel pull once the listener is gone
+		if (this.__wheelPull) {
+			this.__abortPull('cancel');
+		}
+
+		this.__unbindScrollElement();
+		if (this._indicator) {
+			this._indicator.removeEventListener(
+				'click',
+				this.handleIndicatorClick,
+			);
+		}
+		if (this._refreshButton) {
+			this._refreshButton.removeEventListener(
+				'click',
+				this.handleRefreshButtonClick,
+			);
+		}
+
+		this.__listenersAttached = false;
+	}
+
+	handleStart(e) {
+		if (!this._container) {
+			this._container = this.shadowRoot.querySelector('.ptr-container');
+		}
+		const scrollElement = this.__getScrollElement();
+		if (!scrollElement || this.disabled) {
+			return;
+		}
+
+		if (this.isPulling) {
+			// A second pointer, such as during a pinch, can't be part of a pull
+			if (!this.__wheelPull && !this.__isPullPointer(e) && !e.isPrimary) {
+				this.__abortPull('multi-touch');
+				return;
+			}
+			// Otherwise the previous gesture ended without us seeing it
+			this.__abortPull('cancel');
+		}
+
+		// Only the primary mouse button pulls
+		if (e.pointerType === 'mouse' && e.button !== 0) {
+			return;
+		}
+
+		// Pick up direction changes from ancestors (e.g. dir="rtl")
+		this.__updateIndicatorEdges();
+
+		const nestedScrollers = this.__getNestedScrollers(e, scrollElement);
+		if (!nestedScrollers) {
+			return;
+		}
+
+		// Note every edge this gesture could pull from; the direction of
+		// the first few pixels of movement decides between them. Nested
+		// scrollers have to reach the edge before the pull can take over.
+		const { start, end } = this.__edges;
+		const canPullStart =
+			this.__hasDirection('start') &&
+			!this.isRefreshing &&
+			[scrollElement, ...nestedScrollers].every((scroller) =>
+				this.__isAtEdge(scroller, start),
+			);
+		const canPullEnd =
+			this.__hasDirection('end') &&
+			!this.isLoadingMore &&
+			[scrollElement, ...nestedScrollers].every((scroller) =>
+				this.__isAtEdge(scroller, end),
+			);
+
+		if (canPullStart || canPullEnd) {
+			this.isPulling = true;
+			this.isPullingConfirmed = false;
+			this.__armAllowed = null;
+			this.__pointerId = e.pointerId ?? null;
+			this.startX = e.clientX;
+			this.startY = e.clientY;
+			this.__pullCandidates = { start: canPullStart, end: canPullEnd };
+		}
+	}
+
+	handleMove(e) {
+		if (!this.isPulling || !this.__isPullPointer(e)) return;
+
+		// Coalesced events hold every position since the last frame; they
+		// only help judge the direction, drawing needs just the latest one
+		if (!this.isPullingConfirmed) {
+			const samples = e.getCoalescedEvents?.() ?? [];
+			(samples.length ? samples : [e]).some(
+				(sample) => this.__confirmPull(sample) || !this.isPulling,
+			);
+			if (!this.isPullingConfirmed) {
+				return;
+			}
+		}
+		this.__trackPull(e);
+	}
+
+	handleEnd(e) {
+		if (!this.isPulling || !this.__isPullPointer(e)) return;
+
+		this.__finishPull('pull-end');
+	}
+
+	__getPullDeltas(point) {
+		const deltaX = point.clientX - this.startX;
+		const deltaY = point.clientY - this.startY;
+		return this.__edges.axis === 'x'
+			? { delta: deltaX, crossDelta: deltaY }
+			: { delta: deltaY, crossDelta: deltaX };
+	}
+
+	__confirmPull(point) {
+		const { axis } = this.__edges;
+		const { delta, crossDelta } = this.__getPullDeltas(point);
+
+		// Need some movement to determine direction (at least 5px)
+		if (Math.max(Math.abs(delta), Math.abs(crossDelta)) <= 5) {
+			return false;
+		}
+
+		// Check which edge the user is pulling from
+		const logicalEdge =
+			Math.sign(delta) === EDGE_SIGNS[this.__edges.start]
+				? 'start'
+				: 'end';
+		if (
+			Math.abs(crossDelta) >= Math.abs(delta) ||
+			!this.__pullCandidates[logicalEdge]
+		) {
+			// Scrolling along the other axis or pulling away from an
+			// edge that can't be pulled - cancel the gesture
+			this.isPulling = false;
+			return false;
+		}
+
+		// Confirm and proceed
+		this.isPullingConfirmed = true;
+		this.__pullEdge = logicalEdge;
+		// Keep receiving the pointer if it leaves the element; waiting
+		// until now leaves taps and clicks on the content untouched
+		this.__capturePointer();
+
+		// A new pull replaces any lingering error message
+		if (logicalEdge === 'start') {
+			this.__clearErrorState();
+			this.__clearSuccessMessage();
+			this.__setState('pulling', 'pull-start');
+		}
+
+		// Prevent text selection during pull if disable-selection is set
+		if (this.disableSelection) {
+			this.setAttribute('pulling', '');
+		}
+
+		const pullStartEvent = new CustomEvent('ptr:pull-start', {
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+			detail: { edge: this.__edges[logicalEdge], axis },
+		});
+		if (!this.dispatchEvent(pullStartEvent)) {
+			this.__abortPull('prevented');
+			return false;
+		}
+		return true;
+	}
+
+	__trackPull(e) {
+		const { axis } = this.__edges;
+		const { delta } = this.__getPullDeltas(e);
+		const isEnd = this.__pullEdge === 'end';
+		const edge = this.__edges[this.__pullEdge];
+
+		// Measure the distance pulled away from the edge
+		this.currentY = delta * EDGE_SIGNS[edge];
+
+		if (this.currentY > 0) {
+			if (e.cancelable) {
+				e.preventDefault(); // Prevent scroll bounce
+			}
+
+			const threshold = isEnd ? this.loadMoreThreshold : this.threshold;
+			const resistedDistance = this.__applyResistance(
+				this.currentY,
+				threshold,
+			);
+			const offset =
+				resistedDistance - this.__getIndicatorSize(this.__pullEdge);
+			const indicator = isEnd ? this._loadMoreIndicator : this._indicator;
+			const armed =
+				this.currentY > threshold && (isEnd || this.__canArm());
+
+			if (indicator) {
+				indicator.style.transform = this.__getIndicatorTransform(
+					edge,
+					offset,
+				);
+				this.__setIndicatorState(indicator, 'active', armed);
+			}
+			if (!isEnd) {
+				this.__setState(armed ? 'armed' : 'pulling', 'threshold');
+			}
+			this.__setContentOffset(edge, resistedDistance);
+
+			// Let pure-CSS indicators animate without listening for events
+			this.style.setProperty(
+				'--ptr-progress',
+				String(threshold > 0 ? this.currentY / threshold : 1),
+			);
+			this.style.setProperty('--ptr-distance', `${resistedDistance}px`);
+			if (isEnd) {
+				this.__updateLoadMoreTextForState();
+			} else {
+				this.__updateIndicatorTextForState();
+			}
+
+			this.dispatchEvent(
+				new CustomEvent('ptr:pull-move', {
+					bubbles: true,
+					composed: true,
+					detail: {
+						distance: this.currentY,
+						resistedDistance,
+						edge,
+						axis,
+					},
+				}),
+			);
+		}
+	}
+
+	__abortPull(reason) {
+		// Without any distance the pull ends without refreshing
+		this.currentY = 0;
+		this.__finishPull(reason);
+	}
+
+	__finishPull(reason) {
+		const logicalEdge = this.__pullEdge;
+		this.isPulling = false;
+		this.__pullEdge = null;
+		this.__releasePointer();
+		this.__cancelWheelPull();
+
+		// Re-enable text selection if it was disabled
+		this.removeAttribute('pulling');
+		this.style.removeProperty('--ptr-progress');
+		this.style.removeProperty('--ptr-distance');
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:pull-end', {
+				bubbles: true,
+				composed: true,
+				detail: {
+					edge: logicalEdge ? this.__edges[logicalEdge] : null,
+					axis: this.__edges.axis,
+				},
+			}),
+		);
+
+		if (logicalEdge === 'end') {
+			if (this.currentY > this.loadMoreThreshold) {
+				this.triggerLoadMore();
+			} else {
+				this.__resetLoadMoreIndicator();
+			}
+		} else if (
+			this.currentY > 0 &&
+			this.currentY > this.threshold &&
+			this.__armAllowed !== false
+		) {
+			// Only trigger refresh if pulled down (positive currentY) past threshold
+			this.triggerRefresh({ source: 'pull' });
+		} else if (!this.isErrored) {
+			this.resetIndicator();
+			if (logicalEdge === 'start') {
+				this.__setState('idle', reason);
+			}
+		}
+
+		// Reset currentY after handling the gesture
+		this.currentY = 0;
+	}
+
+	handleScroll() {
+		const scrollElement = this.__getScrollElement();
+		if (
+			scrollElement &&
+			!this.__isAtEdge(scrollElement, this.__edges.start) &&
+			!this.isRefreshing
+		) {
+			this.resetIndicator();
+		}
+	}
+
+	handleWheel(e) {
+		// Leave pointer gestures alone
+		if (this.disabled || (this.isPulling && !this.__wheelPull)) {
+			return;
+		}
+
+		const { deltaX, deltaY } = this.__normalizeWheelDelta(e);
+		if (!this.__wheelPull) {
+			if (deltaX === 0 && deltaY === 0) {
+				return;
+			}
+			this.handleStart({
+				clientX: 0,
+				clientY: 0,
+				composedPath: () => e.composedPath(),
+			});
+			if (!this.isPulling) {
+				return;
+			}
+			this.__wheelPull = { x: 0, y: 0 };
+		}
+
+		// Scrolling toward an edge moves content the way pulling away does
+		this.__wheelPull.x -= deltaX;
+		this.__wheelPull.y -= deltaY;
+		this.handleMove({
+			clientX: this.__wheelPull.x,
+			clientY: this.__wheelPull.y,
+			cancelable: e.cancelable,
+			preventDefault: () => e.preventDefault(),
+		});
+
+		if (!this.isPulling) {
+			// Scrolling away from the edge or along the other axis
+			this.__cancelWheelPull();
+			return;
+		}
+
+		clearTimeout(this.__wheelReleaseTimeoutId);
+		this.__wheelReleaseTimeoutId = setTimeout(() => {
+			this.__wheelReleaseTimeoutId = null;
+			this.__wheelPull = null;
+			this.handleEnd();
+		}, WHEEL_RELEASE_DELAY);
+	}
+
+	handleIndicatorClick() {
+		if (this.isErrored && this.tapToRetry) {
+			this.triggerRefresh({ source: 'retry' });
+		}
+	}
+
+	handleRefreshButtonClick() {
+		this.triggerRefresh({ source: 'button' });
+	}
+
+	handleKeyDown(e) {
+		const shortcut = this.keyboardShortcut;
+		if (!shortcut || e.repeat || e.defaultPrevented) {
+			return;
+		}
+
+		const { key, modifiers } =
+			PullToRefreshElement.__parseKeyboardShortcut(shortcut);
+		if (
+			e.key.toLowerCase() !== key ||
+			e.ctrlKey !== modifiers.has('control') ||
+			e.altKey !== modifiers.has('alt') ||
+			e.metaKey !== modifiers.has('meta') ||
+			(modifiers.has('shift') && !e.shiftKey)
+		) {
+			return;
+		}
+
+		// Single keys without modifiers still need to type into form fields
+		const target = e.composedPath()[0];
+		if (
+			key.length === 1 &&
+			!e.ctrlKey &&
+			!e.altKey &&
+			!e.metaKey &&
+			target instanceof Element &&
+			(target.isContentEditable ||
+				target.matches('input, textarea, select'))
+		) {
+			return;
+		}
+
+		// Keep shortcuts like F5 or Control+r from reloading the page
+		e.preventDefault();
+		this.triggerRefresh({ source: 'keyboard' });
+	}
+
+	triggerRefresh({ source = 'api', coalesce = this.coalesce } = {}) {
+		if (this.disabled) {
+			return Promise.resolve();
+		}
+		// The cycle exists while ptr:refresh dispatches, before the state
+		// changes, so listeners that trigger again join it too
+		if (this.__refreshCycle) {
+			if (coalesce === 'queue') {
+				return this.__queueRefresh(source);
+			}
+			return this.__refreshCycle.promise;
+		}
+		if (this.__isCoolingDown(source)) {
+			this.__skipRefresh(source, 'min-interval');
+			return Promise.resolve();
+		}
+		return this.__startRefresh(source);
+	}
+
+	__startRefresh(source) {
+		// Pulls already asked before arming
+		if (source !== 'pull' && !this.__isRefreshAllowed(source)) {
+			return Promise.resolve();
+		}
+
+		const cycle = this.__createCycle({
+			complete: (result) => this.completeRefresh(result),
+			fail: (error) => this.failRefresh(error),
+			timeout: (timeout) => this.__timeOutRefresh(timeout),
+		});
+		cycle.starting = true;
+		this.__refreshCycle = cycle;
+
+		const refreshEvent = new CustomEvent('ptr:refresh', {
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+			detail: { ...this.__createCycleDetail(cycle), source },
+		});
+
+		// Ask listeners first, so a vetoed refresh changes nothing and
+		// never reaches onrefresh
+		this.dispatchEvent(refreshEvent);
+		if (!refreshEvent.defaultPrevented) {
+			this.__invokeRefreshHandler(cycle, refreshEvent);
+		}
+		cycle.starting = false;
+		const { settlement } = cycle;
+		// Canceling while listeners run works like a veto
+		if (refreshEvent.defaultPrevented || settlement?.type === 'cancel') {
+			this.__refreshCycle = null;
+			this.__deactivateCycle(cycle);
+			this.__dropQueuedRefresh();
+			cycle.controller.abort(
+				settlement?.reason ??
+					new DOMException(
+						'The refresh was prevented.',
+						'AbortError',
+					),
+			);
+			// A released pull still has its indicator out
+			if (this.__state === 'armed' && !this.isPulling) {
+				this.__setState('idle', 'prevented');
+				this.resetIndicator();
+			}
+			cycle.resolve();
+			return cycle.promise;
+		}
+		if (this.__refreshCycle !== cycle || !cycle.active) {
+			return cycle.promise;
+		}
+
+		// A refresh started from code ends any pull in progress
+		if (this.isPulling) {
+			this.__abortPull('trigger');
+		}
+		this.__clearErrorState();
+		this.__clearSuccessMessage();
+		this._indicator?.classList.add('busy');
+		this.__setState(
+			'refreshing',
+			this.__state === 'armed' ? 'release' : 'trigger',
+		);
+		this.__updateIndicatorTextForState();
+		if (this._indicator) {
+			this.__setIndicatorState(this._indicator, 'active', true);
+			if (this.mode === 'push') {
+				// Settle the indicator into the gap left by the content
+				this._indicator.style.transform = this.__getIndicatorTransform(
+					this.__edges.start,
+					0,
+				);
+			}
+		}
+		this.__updateContentOffset();
+
+		// Listeners that settled it right away finish now that it started
+		if (settlement?.type === 'complete') {
+			this.completeRefresh(settlement.result);
+			return cycle.promise;
+		}
+		if (settlement?.type === 'fail') {
+			this.failRefresh(settlement.error);
+			return cycle.promise;
+		}
+		// Fall back to the declarative source when no handler took the
+		// refresh with waitUntil(), complete() or a promise from onrefresh
+		if (this.src && cycle.pending === 0) {
+			this.__extendCycle(
+				cycle,
+				this.__loadSource(this.src, cycle.controller.signal),
+			);
+		}
+		this.__startCycleTimeout(cycle);
+
+		return cycle.promise;
+	}
+
+	completeRefresh(result) {
+		if (this.__deferWhileStarting({ type: 'complete', result })) {
+			return;
+		}
+		const cycle = this.__endRefreshCycle();
+		// Outside a refresh, leave a pull under the finger alone
+		if (!cycle && this.isPulling) {
+			return;
+		}
+		if (cycle) {
+			this.__lastRefreshed = Date.now();
+			this.__freshSince = this.__lastRefreshed;
+		}
+
+		const message = cycle ? this.__getCompletionMessage(result) : null;
+		if (
+			message &&
+			this.completeDuration > 0 &&
+			this.__setState('completing', 'complete')
+		) {
+			this.__holdCompletionMessage(message);
+		} else {
+			if (cycle) {
+				this.__enterCompletingState();
+			}
+			this.resetIndicator();
+		}
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:refresh-complete', {
+				bubbles: true,
+				composed: true,
+				detail: { result: result ?? null },
+			}),
+		);
+
+		if (cycle) {
+			cycle.resolve();
+		}
+		// Start a queued refresh once this one has finished ending
+		if (this.__queuedRefresh) {
+			queueMicrotask(() => this.__runQueuedRefresh());
+		}
+	}
+
+	failRefresh(error) {
+		if (this.__deferWhileStarting({ type: 'fail', error })) {
+			return;
+		}
+		const cycle = this.__endRefreshCycle();
+		// Outside a refresh, only fail from a state that can show the error
+		if (!this.__setState('error', 'fail') && !cycle && !this.isErrored) {
+			return;
+		}
+		// Only a refresh that succeeded lets a queued one follow
+		this.__dropQueuedRefresh();
+		this.__clearErrorTimeout();
+
+		// Keep the indicator in view so the error message can be read
+		if (this._indicator) {
+			this._indicator.style.transform = this.__getIndicatorTransform(
+				this.__edges.start,
+				0,
+			);
+			this.__setIndicatorState(this._indicator, 'active', false);
+			this.__setIndicatorState(this._indicator, 'error', true);
+		}
+		this.__updateContentOffset();
+		this.__updateIndicatorTextForState();
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:refresh-error', {
+				bubbles: true,
+				composed: true,
+				detail: { error },
+			}),
+		);
+
+		this.__errorTimeoutId = setTimeout(() => {
+			this.__errorTimeoutId = null;
+			if (this.isErrored) {
+				this.__setState('idle', 'error-timeout');
+				this.resetIndicator();
+			}
+		}, this.errorDuration);
+
+		if (cycle) {
+			cycle.resolve();
+		}
+	}
+
+	cancelRefresh(reason) {
+		if (this.__deferWhileStarting({ type: 'cancel', reason })) {
+			return;
+		}
+		if (!this.isRefreshing) {
+			return;
+		}
+
+		const cycle = this.__endRefreshCycle();
+		this.__dropQueuedRefresh();
+		this.__setState('idle', 'cancel');
+		this.resetIndicator();
+
+		if (cycle) {
+			cycle.controller.abort(
+				reason ??
+					new DOMException('The refresh was canceled.', 'AbortError'),
+			);
+			cycle.resolve();
+		}
+	}
+
+	__deferWhileStarting(settlement) {
+		const cycle = this.__refreshCycle;
+		if (!cycle?.starting) {
+			return false;
+		}
+		// ptr:refresh listeners run before the refresh starts; the first
+		// way they settle it applies once it has
+		cycle.settlement ??= settlement;
+		return true;
+	}
+
+	triggerLoadMore() {
+		if (this.isLoadingMore) {
+			return this.__loadMoreCycle
+				? this.__loadMoreCycle.promise
+				: Promise.resolve();
+		}
+		this.__isLoadingMore = true;
+		this._loadMoreIndicator?.classList.add('busy');
+		this.__updateLoadMoreTextForState();
+		if (this._loadMoreIndicator) {
+			this.__setIndicatorState(this._loadMoreIndicator, 'active', true);
+			if (this.mode === 'push') {
+				this._loadMoreIndicator.style.transform =
+					this.__getIndicatorTransform(this.__edges.end, 0);
+			}
+		}
+		this.__updateContentOffset();
+
+		const cycle = this.__createCycle({
+			complete: () => this.completeLoadMore(),
+			fail: (error) => this.__failLoadMore(error),
+			timeout: (timeout) => this.__timeOutLoadMore(timeout),
+		});
+		this.__loadMoreCycle = cycle;
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:load-more', {
+				bubbles: true,
+				composed: true,
+				detail: this.__createCycleDetail(cycle),
+			}),
+		);
+		this.__startCycleTimeout(cycle);
+
+		return cycle.promise;
+	}
+
+	completeLoadMore() {
+		const cycle = this.__endLoadMoreCycle();
+		this.__resetLoadMoreIndicator();
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:load-more-complete', {
+				bubbles: true,
+				composed: true,
+			}),
+		);
+
+		if (cycle) {
+			cycle.resolve();
+		}
+	}
+
+	cancelLoadMore(reason) {
+		if (!this.isLoadingMore) {
+			return;
+		}
+
+		const cycle = this.__endLoadMoreCycle();
+		this.__resetLoadMoreIndicator();
+
+		if (cycle) {
+			cycle.controller.abort(
+				reason ??
+					new DOMException(
+						'Loading more was canceled.',
+						'AbortError',
+					),
+			);
+			cycle.resolve();
+		}
+	}
+
+	resetIndicator() {
+		if (!this._indicator) return;
+
+		this.__clearSuccessMessage();
+
+		// Temporarily disable announcements during reset
+		this._indicator.setAttribute('aria-live', 'off');
+
+		this._indicator.style.transform = this.__getIndicatorTransform(
+			this.__edges.start,
+			-this.indicatorHeight,
+		);
+		this.__setIndicatorState(this._indicator, 'active', false);
+		this.__setIndicatorState(this._indicator, 'error', false);
+		this.__updateContentOffset();
+		this.__updateIndicatorTextForState();
+
+		// Re-enable announcements after text is updated
+		// Use setTimeout to ensure the text change happens first
+		this.__clearAriaLiveResetTimeout();
+		this.__ariaLiveResetTimeoutId = setTimeout(() => {
+			if (this._indicator) {
+				this._indicator.setAttribute('aria-live', 'assertive');
+			}
+			this.__ariaLiveResetTimeoutId = null;
+		}, 0);
+	}
+
+	updateIndicatorText({ force = false } = {}) {
+		if (this.isPulling && !force && !this.isRefreshing) {
+			return;
+		}
+
+		this.__updateIndicatorTextForState();
+		this.__updateLoadMoreTextForState();
+		this.__updateLastUpdated();
+		if (this._refreshButton) {
+			this._refreshButton.textContent = this.refreshButtonText;
+		}
+	}
+
+	get threshold() {
+		const attrValue = this.getAttribute('threshold');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) ? parsed : 80;
+	}
+
+	set threshold(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('threshold');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('threshold');
+			return;
+		}
+		this.setAttribute('threshold', String(Math.round(numericValue)));
+	}
+
+	get resistance() {
+		const attrValue = this.getAttribute('resistance');
+		const parsed = parseFloat(attrValue ?? '');
+		return Number.isFinite(parsed) && parsed >= 0 && parsed <= 1
+			? parsed
+			: 0.5;
+	}
+
+	set resistance(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('resistance');
+			return;
+		}
+		const numericValue = Number(value);
+		if (
+			!Number.isFinite(numericValue) ||
+			numericValue < 0 ||
+			numericValue > 1
+		) {
+			this.removeAttribute('resistance');
+			return;
+		}
+		this.setAttribute('resistance', String(numericValue));
+	}
+
+	get maxDistance() {
+		const attrValue = this.getAttribute('max-distance');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
+	}
+
+	set maxDistance(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('max-distance');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('max-distance');
+			return;
+		}
+		this.setAttribute('max-distance', String(Math.round(numericValue)));
+	}
+
+	get mode() {
+		return this.getAttribute('mode') === 'push' ? 'push' : 'overlay';
+	}
+
+	set mode(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('mode');
+			return;
+		}
+		this.setAttribute('mode', String(value));
+	}
+
+	get indicatorStyle() {
+		const value = this.getAttribute('indicator-style');
+		return Object.prototype.hasOwnProperty.call(INDICATOR_GRAPHICS, value)
+			? value
+			: 'text';
+	}
+
+	set indicatorStyle(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('indicator-style');
+			return;
+		}
+		this.setAttribute('indicator-style', String(value));
+	}
+
+	get indicatorText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('indicator-text') || t.indicator;
+	}
+
+	set indicatorText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('indicator-text');
+			return;
+		}
+		this.setAttribute('indicator-text', value);
+	}
+
+	get releaseText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('release-text') || t.release;
+	}
+
+	set releaseText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('release-text');
+			return;
+		}
+		this.setAttribute('release-text', value);
+	}
+
+	get refreshingText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('refreshing-text') || t.refreshing;
+	}
+
+	set refreshingText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('refreshing-text');
+			return;
+		}
+		this.setAttribute('refreshing-text', value);
+	}
+
+	get errorText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('error-text') || t.error;
+	}
+
+	set errorText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('error-text');
+			return;
+		}
+		this.setAttribute('error-text', value);
+	}
+
+	get completeDuration() {
+		const attrValue = this.getAttribute('complete-duration');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) && parsed >= 0 ? parsed : 2000;
+	}
+
+	set completeDuration(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('complete-duration');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('complete-duration');
+			return;
+		}
+		this.setAttribute(
+			'complete-duration',
+			String(Math.round(numericValue)),
+		);
+	}
+
+	get upToDateText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('up-to-date-text') || t.upToDate;
+	}
+
+	set upToDateText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('up-to-date-text');
+			return;
+		}
+		this.setAttribute('up-to-date-text', value);
+	}
+
+	get errorDuration() {
+		const attrValue = this.getAttribute('error-duration');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) && parsed >= 0 ? parsed : 3000;
+	}
+
+	set errorDuration(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('error-duration');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('error-duration');
+			return;
+		}
+		this.setAttribute('error-duration', String(Math.round(numericValue)));
+	}
+
+	get tapToRetry() {
+		return this.hasAttribute('tap-to-retry');
+	}
+
+	set tapToRetry(value) {
+		if (value) {
+			this.setAttribute('tap-to-retry', '');
+		} else {
+			this.removeAttribute('tap-to-retry');
+		}
+	}
+
+	get refreshTimeout() {
+		const attrValue = this.getAttribute('refresh-timeout');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) && parsed >= 0 ? parsed : 2000;
+	}
+
+	set refreshTimeout(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('refresh-timeout');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('refresh-timeout');
+			return;
+		}
+		this.setAttribute('refresh-timeout', String(Math.round(numericValue)));
+	}
+
+	get autoRefresh() {
+		const interval = PullToRefreshElement.__parseDuration(
+			this.getAttribute('auto-refresh'),
+		);
+		return interval > 0 ? Math.max(interval, MIN_AUTO_REFRESH) : 0;
+	}
+
+	set autoRefresh(value) {
+		if (!value) {
+			this.removeAttribute('auto-refresh');
+			return;
+		}
+		this.setAttribute(
+			'auto-refresh',
+			typeof value === 'number' ? String(Math.round(value)) : value,
+		);
+	}
+
+	get staleAfter() {
+		return PullToRefreshElement.__parseDuration(
+			this.getAttribute('stale-after'),
+		);
+	}
+
+	set staleAfter(value) {
+		if (!value) {
+			this.removeAttribute('stale-after');
+			return;
+		}
+		this.setAttribute(
+			'stale-after',
+			typeof value === 'number' ? String(Math.round(value)) : value,
+		);
+	}
+
+	get minInterval() {
+		return PullToRefreshElement.__parseDuration(
+			this.getAttribute('min-interval'),
+		);
+	}
+
+	set minInterval(value) {
+		if (!value) {
+			this.removeAttribute('min-interval');
+			return;
+		}
+		this.setAttribute(
+			'min-interval',
+			typeof value === 'number' ? String(Math.round(value)) : value,
+		);
+	}
+
+	get coalesce() {
+		return this.getAttribute('coalesce') === 'queue' ? 'queue' : 'join';
+	}
+
+	set coalesce(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('coalesce');
+			return;
+		}
+		this.setAttribute('coalesce', String(value));
+	}
+
+	get showLastUpdated() {
+		return this.hasAttribute('show-last-updated');
+	}
+
+	set showLastUpdated(value) {
+		if (value) {
+			this.setAttribute('show-last-updated', '');
+		} else {
+			this.removeAttribute('show-last-updated');
+		}
+	}
+
+	get lastRefreshed() {
+		return this.__lastRefreshed === null
+			? null
+			: new Date(this.__lastRefreshed);
+	}
+
+	get direction() {
+		const value = this.getAttribute('direction');
+		return Object.prototype.hasOwnProperty.call(DIRECTION_EDGES, value)
+			? value
+			: 'down';
+	}
+
+	set direction(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('direction');
+			return;
+		}
+		this.setAttribute('direction', String(value));
+	}
+
+	get directions() {
+		return this.__getDirections().join(' ');
+	}
+
+	set directions(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('directions');
+			return;
+		}
+		this.setAttribute(
+			'directions',
+			Array.isArray(value) ? value.join(' ') : String(value),
+		);
+	}
+
+	get refreshButton() {
+		if (!this.hasAttribute('refresh-button')) {
+			return null;
+		}
+		return this.getAttribute('refresh-button') === 'visible'
+			? 'visible'
+			: 'hidden';
+	}
+
+	set refreshButton(value) {
+		if (value === null || value === undefined || value === false) {
+			this.removeAttribute('refresh-button');
+			return;
+		}
+		this.setAttribute(
+			'refresh-button',
+			value === true ? '' : String(value),
+		);
+	}
+
+	get refreshButtonText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('refresh-button-text') || t.refreshButton;
+	}
+
+	set refreshButtonText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('refresh-button-text');
+			return;
+		}
+		this.setAttribute('refresh-button-text', value);
+	}
+
+	get keyboardShortcut() {
+		return this.getAttribute('keyboard-shortcut');
+	}
+
+	set keyboardShortcut(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('keyboard-shortcut');
+			return;
+		}
+		this.setAttribute('keyboard-shortcut', String(value));
+	}
+
+	get loadMoreThreshold() {
+		const attrValue = this.getAttribute('load-more-threshold');
+		const parsed = parseInt(attrValue ?? '', 10);
+		return Number.isFinite(parsed) ? parsed : this.threshold;
+	}
+
+	set loadMoreThreshold(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('load-more-threshold');
+			return;
+		}
+		const numericValue = Number(value);
+		if (!Number.isFinite(numericValue) || numericValue < 0) {
+			this.removeAttribute('load-more-threshold');
+			return;
+		}
+		this.setAttribute(
+			'load-more-threshold',
+			String(Math.round(numericValue)),
+		);
+	}
+
+	get loadMoreText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('load-more-text') || t.loadMore;
+	}
+
+	set loadMoreText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('load-more-text');
+			return;
+		}
+		this.setAttribute('load-more-text', value);
+	}
+
+	get loadMoreReleaseText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('load-more-release-text') || t.loadMoreRelease;
+	}
+
+	set loadMoreReleaseText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('load-more-release-text');
+			return;
+		}
+		this.setAttribute('load-more-release-text', value);
+	}
+
+	get loadingMoreText() {
+		const t = this.__getTranslations();
+		return this.getAttribute('loading-more-text') || t.loadingMore;
+	}
+
+	set loadingMoreText(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('loading-more-text');
+			return;
+		}
+		this.setAttribute('loading-more-text', value);
+	}
+
+	get scrollTarget() {
+		return this.getAttribute('scroll-target');
+	}
+
+	set scrollTarget(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('scroll-target');
+			return;
+		}
+		this.setAttribute('scroll-target', String(value));
+	}
+
+	get ignoreSelector() {
+		return this.getAttribute('ignore-selector');
+	}
+
+	set ignoreSelector(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('ignore-selector');
+			return;
+		}
+		this.setAttribute('ignore-selector', String(value));
+	}
+
+	get src() {
+		return this.getAttribute('src');
+	}
+
+	set src(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('src');
+			return;
+		}
+		this.setAttribute('src', String(value));
+	}
+
+	get select() {
+		return this.getAttribute('select');
+	}
+
+	set select(value) {
+		if (value === null || value === undefined || value === '') {
+			this.removeAttribute('select');
+			return;
+		}
+		this.setAttribute('select', String(value));
+	}
+
+	get wheel() {
+		return this.hasAttribute('wheel');
+	}
+
+	set wheel(value) {
+		if (value) {
+			this.setAttribute('wheel', '');
+		} else {
+			this.removeAttribute('wheel');
+		}
+	}
+
+	get disabled() {
+		return this.hasAttribute('disabled');
+	}
+
+	set disabled(value) {
+		if (value) {
+			this.setAttribute('disabled', '');
+		} else {
+			this.removeAttribute('disabled');
+		}
+	}
+
+	get disableSelection() {
+		return this.hasAttribute('disable-selection');
+	}
+
+	set disableSelection(value) {
+		if (value) {
+			this.setAttribute('disable-selection', '');
+		} else {
+			this.removeAttribute('disable-selection');
+		}
+	}
+
+	get state() {
+		return this.__state;
+	}
+
+	get isRefreshing() {
+		return this.__state === 'refreshing';
+	}
+
+	get isErrored() {
+		return this.__state === 'error';
+	}
+
+	get isLoadingMore() {
+		return this.__isLoadingMore;
+	}
+
+	get onrefresh() {
+		return this.__onrefresh;
+	}
+
+	set onrefresh(value) {
+		this.__onrefresh = typeof value === 'function' ? value : null;
+	}
+
+	get translations() {
+		return this.__translations;
+	}
+
+	set translations(value) {
+		// Keep a frozen copy: edits only apply when a new object is assigned
+		this.__translations =
+			value && typeof value === 'object'
+				? Object.freeze(
+						Object.fromEntries(
+							Object.entries(value).map(([tag, set]) => [
+								tag,
+								Object.freeze({ ...set }),
+							]),
+						),
+					)
+				: null;
+		this.__updateTextDirection();
+		this.updateIndicatorText({ force: true });
+	}
+
+	get canRefresh() {
+		return this.__canRefresh;
+	}
+
+	set canRefresh(value) {
+		this.__canRefresh = typeof value === 'function' ? value : null;
+	}
+
+	get resistanceFunction() {
+		return this.__resistanceFunction;
+	}
+
+	set resistanceFunction(value) {
+		this.__resistanceFunction = typeof value === 'function' ? value : null;
+	}
+
+	get indicatorHeight() {
+		return this.__getIndicatorSize('start');
+	}
+
+	static styles = `
+		:host {
+			display: block;
+			position: relative;
+			height: 100vh;
+			overflow: hidden;
+		}
+
+		/* Let an outer scroller that resolved own scrolling; clip keeps the
+		   hidden indicator out of view without creating a scroll container */
+		:host([external-scroll]) {
+			height: auto;
+			overflow: clip;
+		}
+
+		:host([direction='left']) .ptr-container,
+		:host([direction='right']) .ptr-container {
+			overflow-x: auto;
+		}
+
+		:host([external-scroll]) .ptr-container {
+			height: auto;
+			overflow: visible;
+		}
+
+		:host([pulling][disable-selection]) ::slotted(*) {
+			user-select: none;
+			-webkit-user-select: none;
+		}
+
+		.ptr-container {
+			height: 100%;
+			overflow-y: auto;
+			-webkit-overflow-scrolling: touch;
+			position: relative;
+		}
+
+		.ptr-indicator {
+			position: absolute;
+			top: 0;
+			left: 0;
+			right: 0;
+			min-height: var(--ptr-indicator-height, 3.125rem);
+			display: flex;
+			flex-wrap: wrap;
+			align-items: center;
+			align-content: center;
+			justify-content: center;
+			background: var(--ptr-indicator-bg, ButtonFace);
+			color: var(--ptr-indicator-color, ButtonText);
+			font-size: var(--ptr-indicator-font-size, 0.875rem);
+			transform: translateY(
+				calc(-1 * var(--ptr-indicator-height, 3.125rem))
+			);
+			transition: transform var(--ptr-transition-duration, 0.2s) ease;
+			z-index: 1000;
+			user-select: none;
+			-webkit-user-select: none;
+		}
+
+		.ptr-indicator[data-edge='bottom'] {
+			top: auto;
+			bottom: 0;
+			transform: translateY(var(--ptr-indicator-height, 3.125rem));
+		}
+
+		.ptr-indicator[data-edge='left'],
+		.ptr-indicator[data-edge='right'] {
+			bottom: 0;
+			min-width: var(--ptr-indicator-height, 3.125rem);
+			writing-mode: vertical-rl;
+		}
+
+		.ptr-indicator[data-edge='left'] {
+			right: auto;
+			transform: translateX(
+				calc(-1 * var(--ptr-indicator-height, 3.125rem))
+			);
+		}
+
+		.ptr-indicator[data-edge='right'] {
+			left: auto;
+			transform: translateX(var(--ptr-indicator-height, 3.125rem));
+		}
+
+		:host(:not([directions~='bottom']):not([directions~='end']))
+			.ptr-load-more-indicator {
+			display: none;
+		}
+
+		.ptr-last-updated {
+			flex-basis: 100%;
+			text-align: center;
+			font-size: 0.85em;
+			opacity: 0.8;
+		}
+
+		.ptr-last-updated[hidden] {
+			display: none;
+		}
+
+		.ptr-indicator-graphic {
+			display: inline-flex;
+			width: 1.75em;
+			height: 1.75em;
+		}
+
+		.ptr-indicator-graphic:empty,
+		.ptr-indicator.success .ptr-indicator-graphic,
+		.ptr-indicator.error .ptr-indicator-graphic {
+			display: none;
+		}
+
+		/* Keep the text for screen readers when a graphic replaces it */
+		.ptr-indicator:not(.error):not(.success)
+			.ptr-indicator-graphic:not(:empty)
+			+ span {
+			position: absolute;
+			width: 1px;
+			height: 1px;
+			overflow: hidden;
+			clip-path: inset(50%);
+			white-space: nowrap;
+		}
+
+		.ptr-indicator-graphic svg {
+			--ptr-graphic-progress: min(var(--ptr-progress, 0), 1);
+			width: 100%;
+			height: 100%;
+			overflow: visible;
+			fill: none;
+			stroke: currentColor;
+			stroke-width: 2.5;
+			stroke-linecap: round;
+		}
+
+		.ptr-spinner {
+			opacity: max(var(--ptr-graphic-progress), 0.3);
+			transform: rotate(calc(var(--ptr-graphic-progress) * 270deg));
+		}
+
+		.ptr-spinner circle {
+			stroke-dasharray: 75 100;
+		}
+
+		.ptr-arc {
+			transform: rotate(-90deg);
+		}
+
+		.ptr-arc .ptr-track {
+			opacity: 0.2;
+		}
+
+		.ptr-arc .ptr-fill {
+			stroke-dasharray: 100;
+			stroke-dashoffset: calc(100 - var(--ptr-graphic-progress) * 100);
+		}
+
+		.ptr-material {
+			box-sizing: border-box;
+			padding: 0.2em;
+			border-radius: 50%;
+			background: var(--ptr-indicator-bg, ButtonFace);
+			box-shadow: 0 1px 4px rgb(0 0 0 / 0.3);
+			transform: rotate(
+				calc(var(--ptr-graphic-progress) * 360deg - 90deg)
+			);
+		}
+
+		/* The arc grows backwards from the arrowhead, which stays put */
+		.ptr-material circle {
+			stroke-dasharray: calc(var(--ptr-graphic-progress) * 80) 100;
+			stroke-dashoffset: calc(var(--ptr-graphic-progress) * 80 - 80);
+		}
+
+		.ptr-material path {
+			fill: currentColor;
+			stroke: none;
+			opacity: var(--ptr-graphic-progress);
+		}
+
+		.ptr-ios line {
+			opacity: clamp(
+				0,
+				calc(var(--ptr-graphic-progress) * 8 - var(--ptr-tick)),
+				1
+			);
+		}
+
+		.ptr-indicator.busy .ptr-spinner,
+		.ptr-indicator.busy .ptr-arc,
+		.ptr-indicator.busy .ptr-material {
+			opacity: 1;
+			animation: ptr-spin 0.8s linear infinite;
+		}
+
+		.ptr-indicator.busy .ptr-arc .ptr-fill {
+			stroke-dashoffset: 25;
+		}
+
+		.ptr-indicator.busy .ptr-material circle {
+			stroke-dasharray: 60 100;
+			stroke-dashoffset: 0;
+		}
+
+		.ptr-indicator.busy .ptr-material path {
+			opacity: 0;
+		}
+
+		.ptr-indicator.busy .ptr-ios {
+			animation: ptr-spin 0.8s steps(8) infinite;
+		}
+
+		.ptr-indicator.busy .ptr-ios line {
+			opacity: calc(0.3 + var(--ptr-tick) * 0.1);
+		}
+
+		@keyframes ptr-spin {
+			to {
+				transform: rotate(360deg);
+			}
+		}
+
+		@keyframes ptr-pulse {
+			to {
+				opacity: 0.4;
+			}
+		}
+
+		/* Swap spinning for a gentle pulse */
+		@media (prefers-reduced-motion: reduce) {
+			.ptr-indicator.busy .ptr-indicator-graphic svg {
+				animation: ptr-pulse 1s ease-in-out infinite alternate;
+			}
+		}
+
+		.ptr-refresh-button {
+			position: absolute;
+			top: 0.5rem;
+			inset-inline-end: 0.5rem;
+			z-index: 1001;
+			font: inherit;
+			font-size: var(--ptr-indicator-font-size, 0.875rem);
+		}
+
+		/* Visually hidden until focused, like a skip link */
+		:host(:not([refresh-button='visible']))
+			.ptr-refresh-button:not(:focus) {
+			width: 1px;
+			height: 1px;
+			padding: 0;
+			overflow: hidden;
+			clip-path: inset(50%);
+			white-space: nowrap;
+			border: 0;
+		}
+
+		:host([tap-to-retry]) .ptr-indicator.error {
+			cursor: pointer;
+		}
+
+		.ptr-retry-button {
+			font: inherit;
+			color: inherit;
+		}
+
+		.ptr-content {
+			position: relative;
+			transition: transform var(--ptr-transition-duration, 0.2s) ease;
+		}
+
+		:host([disabled]) .ptr-container {
+			touch-action: auto;
+		}
+	`;
+
+	render() {
+		this.shadowRoot.innerHTML = `
+			<style>${PullToRefreshElement.styles}</style>
+			<div class="ptr-indicator" part="indicator" role="status" aria-live="assertive">
+				<slot name="indicator">
+					<span class="ptr-indicator-graphic" part="indicator-graphic" aria-hidden="true">${this.__getIndicatorGraphic()}</span>
+					<span class="ptr-indicator-text" part="indicator-text">${this.indicatorText}</span>
+					<button class="ptr-retry-button" part="retry-button" type="button" hidden></button>
+					<span class="ptr-last-updated" part="last-updated" hidden></span>
+				</slot>
+			</div>
+			<button class="ptr-refresh-button" part="refresh-button" type="button"${this.refreshButton === null ? ' hidden' : ''}${this.disabled ? ' disabled' : ''}>${this.refreshButtonText}</button>
+			<div class="ptr-container" part="container">
+				<div class="ptr-content" part="content">
+					<slot></slot>
+				</div>
+			</div>
+			<div class="ptr-indicator ptr-load-more-indicator" part="indicator load-more-indicator" role="status" aria-live="polite">
+				<slot name="load-more-indicator">
+					<span class="ptr-indicator-graphic" part="indicator-graphic load-more-indicator-graphic" aria-hidden="true">${this.__getIndicatorGraphic()}</span>
+					<span class="ptr-load-more-indicator-text" part="indicator-text load-more-indicator-text">${this.loadMoreText}</span>
+				</slot>
+			</div>
+		`;
+
+		// Cache DOM references for efficiency
+		this._container = this.shadowRoot.querySelector('.ptr-container');
+		this._content = this.shadowRoot.querySelector('.ptr-content');
+		this._indicator = this.shadowRoot.querySelector('.ptr-indicator');
+		this._indicatorTextEl = this.shadowRoot.querySelector(
+			'.ptr-indicator-text',
+		);
+		this._lastUpdatedEl =
+			this.shadowRoot.querySelector('.ptr-last-updated');
+		this._retryButton = this.shadowRoot.querySelector('.ptr-retry-button');
+		this._loadMoreIndicator = this.shadowRoot.querySelector(
+			'.ptr-load-more-indicator',
+		);
+		this._loadMoreTextEl = this.shadowRoot.querySelector(
+			'.ptr-load-more-indicator-text',
+		);
+		this._refreshButton = this.shadowRoot.querySelector(
+			'.ptr-refresh-button',
+		);
+		this.__updateIndicatorEdges();
+		this.__updateTextDirection();
+		this.__updateIndicatorTextForState();
+		this.__updateLoadMoreTextForState();
+		this.__updateLastUpdated();
+	}
+
+	__normalizeWheelDelta(e) {
+		let scale = 1;
+		if (e.deltaMode === WheelEvent.DOM_DELTA_LINE) {
+			scale = WHEEL_LINE_HEIGHT;
+		} else if (e.deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+			scale =
+				this.__getScrollElement()?.clientHeight || this.clientHeight;
+		}
+		return { deltaX: e.deltaX * scale, deltaY: e.deltaY * scale };
+	}
+
+	__canArm() {
+		// Ask once per gesture, the first time the pull passes the threshold
+		if (this.__armAllowed === null) {
+			this.__armAllowed = this.__isRefreshAllowed('pull');
+		}
+		return this.__armAllowed;
+	}
+
+	__isCoolingDown(source) {
+		// Only user gestures are throttled; other sources pace themselves
+		if (source !== 'pull' && source !== 'button' && source !== 'keyboard') {
+			return false;
+		}
+		const minInterval = this.minInterval;
+		return (
+			minInterval > 0 &&
+			this.__lastRefreshed !== null &&
+			Date.now() - this.__lastRefreshed < minInterval
+		);
+	}
+
+	__skipRefresh(source, reason) {
+		// Show the up to date message the way a finished refresh would
+		this.__clearSuccessMessage();
+		this.__clearCompletingTimeout();
+		if (
+			this.__state === 'completing' ||
+			this.__setState('completing', 'skipped')
+		) {
+			this.__holdCompletionMessage(
+				this.upToDateText,
+				UP_TO_DATE_DURATION,
+			);
+		}
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:refresh-skipped', {
+				bubbles: true,
+				composed: true,
+				detail: { reason, source },
+			}),
+		);
+	}
+
+	__clearSuccessMessage() {
+		this.__completionMessage = null;
+		if (this._indicator) {
+			this.__setIndicatorState(this._indicator, 'success', false);
+		}
+	}
+
+	__queueRefresh(source) {
+		// Later requests share the one already waiting
+		if (!this.__queuedRefresh) {
+			let resolve;
+			const promise = new Promise((res) => {
+				resolve = res;
+			});
+			this.__queuedRefresh = { source, promise, resolve };
+		}
+		return this.__queuedRefresh.promise;
+	}
+
+	__runQueuedRefresh() {
+		const queued = this.__queuedRefresh;
+		if (!queued) {
+			return;
+		}
+		this.__queuedRefresh = null;
+		// The user already asked for this refresh, so the cooldown that the
+		// one before it just started doesn't apply
+		if (this.__refreshCycle) {
+			queued.resolve(this.__refreshCycle.promise);
+		} else {
+			queued.resolve(
+				this.disabled ? undefined : this.__startRefresh(queued.source),
+			);
+		}
+	}
+
+	__dropQueuedRefresh() {
+		if (this.__queuedRefresh) {
+			this.__queuedRefresh.resolve();
+			this.__queuedRefresh = null;
+		}
+	}
+
+	__isRefreshAllowed(source) {
+		if (!this.__canRefresh) {
+			return true;
+		}
+		return this.__canRefresh.call(this, { source }) !== false;
+	}
+
+	__isPullPointer(e) {
+		// Wheel pulls and direct calls don't carry a pointer
+		return (
+			!e ||
+			this.__pointerId === null ||
+			e.pointerId === undefined ||
+			e.pointerId === this.__pointerId
+		);
+	}
+
+	__capturePointer() {
+		if (this.__pointerId === null) {
+			return;
+		}
+		try {
+			this.setPointerCapture(this.__pointerId);
+		} catch {
+			// The pointer is no longer active
+		}
+	}
+
+	__releasePointer() {
+		if (
+			this.__pointerId !== null &&
+			this.hasPointerCapture?.(this.__pointerId)
+		) {
+			this.releasePointerCapture(this.__pointerId);
+		}
+		this.__pointerId = null;
+	}
+
+	__cancelWheelPull() {
+		if (this.__wheelReleaseTimeoutId !== null) {
+			clearTimeout(this.__wheelReleaseTimeoutId);
+			this.__wheelReleaseTimeoutId = null;
+		}
+		if (this.__wheelPull) {
+			this.__wheelPull = null;
+			this.isPulling = false;
+		}
+	}
+
+	handleVisibilityChange() {
+		if (document.hidden) {
+			this.__clearAutoRefreshTimeout();
+		} else {
+			this.__refreshIfStale();
+			this.__scheduleAutoRefresh();
+		}
+	}
+
+	handleOnline() {
+		this.__refreshIfStale();
+	}
+
+	__refreshIfStale() {
+		const staleAfter = this.staleAfter;
+		if (
+			staleAfter === 0 ||
+			!this.isConnected ||
+			document.hidden ||
+			navigator.onLine === false ||
+			this.isRefreshing ||
+			this.disabled
+		) {
+			return;
+		}
+		if (Date.now() - this.__freshSince >= staleAfter) {
+			this.triggerRefresh({ source: 'stale' });
+		}
+	}
+
+	static __parseDuration(value) {
+		const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/i.exec(
+			value ?? '',
+		);
+		if (!match) {
+			return 0;
+		}
+		// Plain numbers are milliseconds, like every other duration here
+		const unit = (match[2] ?? 'ms').toLowerCase();
+		return Math.round(Number(match[1]) * DURATION_UNITS[unit]);
+	}
+
+	static __parseKeyboardShortcut(shortcut) {
+		const aliases = { ctrl: 'control', cmd: 'meta', option: 'alt' };
+		const parts = shortcut
+			.split('+')
+			.map((part) => part.trim().toLowerCase())
+			.filter(Boolean);
+		const key = parts.pop() ?? '';
+		return {
+			key,
+			modifiers: new Set(parts.map((part) => aliases[part] ?? part)),
+		};
+	}
+
+	__getIndicatorGraphic() {
+		return INDICATOR_GRAPHICS[this.indicatorStyle] ?? '';
+	}
+
+	__updateIndicatorGraphics() {
+		const graphic = this.__getIndicatorGraphic();
+		this.shadowRoot
+			.querySelectorAll('.ptr-indicator-graphic')
+			.forEach((element) => {
+				element.innerHTML = graphic;
+			});
+	}
+
+	__resolveLang() {
+		const lang =
+			this.getAttribute('lang') ||
+			this.closest('[lang]')?.getAttribute('lang') ||
+			document.documentElement.lang ||
+			'en';
+		// Store the canonical tag so every Intl API downstream accepts it
+		try {
+			return Intl.getCanonicalLocales(lang)[0];
+		} catch {
+			return 'en';
+		}
+	}
+
+	__resolveScrollElement() {
+		const target = this.scrollTarget;
+		if (!target) {
+			return this._container;
+		}
+
+		const documentScroller =
+			document.scrollingElement || document.documentElement;
+		if (target === 'document') {
+			return documentScroller;
+		}
+
+		let element = null;
+		try {
+			element = this.getRootNode().querySelector(target);
+		} catch {
+			// Invalid selectors are treated like selectors that match nothing
+		}
+		// Without a match, keep to the element's own container rather than
+		// guessing that the page is the scroller
+		return element || this._container;
+	}
+
+	__getScrollElement() {
+		// A scroll-target that matched nothing may be added later
+		if (
+			!this.__scrollElement?.isConnected ||
+			(this.scrollTarget && this.__scrollElement === this._container)
+		) {
+			const element = this.__resolveScrollElement();
+			if (!this.__listenersAttached) {
+				this.__scrollElement = element;
+			} else if (element !== this.__scrollElement) {
+				this.__unbindScrollElement();
+				this.__bindScrollElement(element);
+			}
+		}
+		return this.__scrollElement;
+	}
+
+	__bindScrollElement(element) {
+		this.__scrollElement = element;
+		// Only an outer scroller that resolved takes scrolling over
+		this.toggleAttribute(
+			'external-scroll',
+			Boolean(element) && element !== this._container,
+		);
+		// The document scroller reports its scroll events on the document
+		this.__scrollEventTarget =
+			element === document.scrollingElement ||
+			element === document.documentElement
+				? document
+				: element;
+		this.__scrollEventTarget?.addEventListener(
+			'scroll',
+			this.handleScroll,
+			this.__scrollOptions,
+		);
+	}
+
+	__unbindScrollElement() {
+		this.__scrollEventTarget?.removeEventListener(
+			'scroll',
+			this.handleScroll,
+			this.__scrollOptions,
+		);
+		this.__scrollEventTarget = null;
+	}
+
+	__setIndicatorText(text) {
+		if (!this._indicatorTextEl) {
+			return;
+		}
+		this._indicatorTextEl.textContent = text;
+	}
+
+	__updateIndicatorTextForState() {
+		if (!this._indicatorTextEl) {
+			return;
+		}
+
+		// With tap-to-retry the error message is a button keyboards can reach
+		const offerRetry = this.isErrored && this.tapToRetry;
+		this._indicatorTextEl.hidden = offerRetry;
+		if (this._retryButton) {
+			this._retryButton.hidden = !offerRetry;
+			this._retryButton.textContent = offerRetry ? this.errorText : '';
+		}
+
+		if (this.isRefreshing) {
+			this.__setIndicatorText(this.refreshingText);
+			return;
+		}
+
+		if (this.isErrored) {
+			this.__setIndicatorText(this.errorText);
+			return;
+		}
+
+		if (this.__completionMessage) {
+			this.__setIndicatorText(this.__completionMessage);
+			return;
+		}
+
+		if (this.isPulling && this.__pullEdge !== 'end') {
+			if (this.currentY > this.threshold && this.__armAllowed !== false) {
+				this.__setIndicatorText(this.releaseText);
+			} else {
+				this.__setIndicatorText(this.indicatorText);
+			}
+			return;
+		}
+
+		this.__setIndicatorText(this.indicatorText);
+	}
+
+	__updateLoadMoreTextForState() {
+		if (!this._loadMoreTextEl) {
+			return;
+		}
+
+		if (this.isLoadingMore) {
+			this._loadMoreTextEl.textContent = this.loadingMoreText;
+		} else if (
+			this.isPulling &&
+			this.__pullEdge === 'end' &&
+			this.currentY > this.loadMoreThreshold
+		) {
+			this._loadMoreTextEl.textContent = this.loadMoreReleaseText;
+		} else {
+			this._loadMoreTextEl.textContent = this.loadMoreText;
+		}
+	}
+
+	__resetLoadMoreIndicator() {
+		if (!this._loadMoreIndicator) return;
+
+		this._loadMoreIndicator.style.transform = this.__getIndicatorTransform(
+			this.__edges.end,
+			-this.__getIndicatorSize('end'),
+		);
+		this.__setIndicatorState(this._loadMoreIndicator, 'active', false);
+		this.__updateContentOffset();
+		this.__updateLoadMoreTextForState();
+	}
+
+	__getDirections() {
+		const directions = (this.getAttribute('directions') || '')
+			.split(/\s+/)
+			.filter(
+				(edge, index, all) =>
+					['top', 'bottom', 'start', 'end'].includes(edge) &&
+					all.indexOf(edge) === index,
+			);
+		return directions.length ? directions : ['top'];
+	}
+
+	__hasDirection(logicalEdge) {
+		// "top" and "bottom" name the refresh and load-more edges of the
+		// default downward pull; "start" and "end" are direction-neutral
+		const directions = this.__getDirections();
+		return logicalEdge === 'start'
+			? directions.includes('start') || directions.includes('top')
+			: directions.includes('end') || directions.includes('bottom');
+	}
+
+	__isRtl() {
+		const dir = this.closest('[dir]')?.getAttribute('dir')?.toLowerCase();
+		if (dir === 'rtl' || dir === 'ltr') {
+			return dir === 'rtl';
+		}
+		return getComputedStyle(this).direction === 'rtl';
+	}
+
+	__updateIndicatorEdges() {
+		let start = DIRECTION_EDGES[this.direction];
+		if ((start === 'left' || start === 'right') && this.__isRtl()) {
+			start = OPPOSITE_EDGES[start];
+		}
+		this.__edges = {
+			axis: start === 'top' || start === 'bottom' ? 'y' : 'x',
+			start,
+			end: OPPOSITE_EDGES[start],
+		};
+
+		if (this._indicator) {
+			this._indicator.dataset.edge = this.__edges.start;
+		}
+		if (this._loadMoreIndicator) {
+			this._loadMoreIndicator.dataset.edge = this.__edges.end;
+		}
+	}
+
+	__getNestedScrollers(e, scrollElement) {
+		const path = e.composedPath?.() ?? [];
+		const { ignoreSelector } = this;
+		const scrollers = [];
+
+		// Walk out from the target until we reach our own scroller
+		for (let i = 0; i < path.length; i += 1) {
+			const node = path[i];
+			if (node === scrollElement || node === this) {
+				break;
+			}
+			if (node instanceof Element) {
+				if (
+					node.hasAttribute('data-ptr-ignore') ||
+					this.__matchesIgnoreSelector(node, ignoreSelector)
+				) {
+					return null;
+				}
+				if (this.__isScroller(node)) {
+					scrollers.push(node);
+				}
+			}
+		}
+		return scrollers;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	__matchesIgnoreSelector(element, selector) {
+		if (!selector) {
+			return false;
+		}
+		try {
+			return element.matches(selector);
+		} catch {
+			// An invalid selector excludes nothing
+			return false;
+		}
+	}
+
+	__isScroller(element) {
+		const vertical = this.__edges.axis === 'y';
+		const overflowing = vertical
+			? element.scrollHeight > element.clientHeight
+			: element.scrollWidth > element.clientWidth;
+		if (!overflowing) {
+			return false;
+		}
+		const style = getComputedStyle(element);
+		const overflow = vertical ? style.overflowY : style.overflowX;
+		return overflow === 'auto' || overflow === 'scroll';
+	}
+
+	__isAtEdge(scrollElement, edge) {
+		const {
+			scrollTop,
+			scrollLeft,
+			clientHeight,
+			clientWidth,
+			scrollHeight,
+			scrollWidth,
+		} = scrollElement;
+
+		// RTL scrollers report scrollLeft as 0 at the right edge and
+		// negative values toward the left
+		const inlineOffset = Math.abs(scrollLeft);
+		const atInlineStart = inlineOffset <= 0;
+		const atInlineEnd =
+			Math.ceil(inlineOffset + clientWidth) >= scrollWidth;
+		const rtl = this.__isRtl();
+
+		switch (edge) {
+			case 'top':
+				return scrollTop <= 0;
+			case 'bottom':
+				return Math.ceil(scrollTop + clientHeight) >= scrollHeight;
+			case 'left':
+				return rtl ? atInlineEnd : atInlineStart;
+			case 'right':
+				return rtl ? atInlineStart : atInlineEnd;
+			default:
+				return false;
+		}
+	}
+
+	__applyResistance(distance, threshold) {
+		const options = {
+			threshold,
+			maxDistance: this.maxDistance,
+			resistance: this.resistance,
+		};
+		const resisted = this.__resistanceFunction
+			? Number(this.__resistanceFunction.call(this, distance, options))
+			: PullToRefreshElement.__rubberBand(distance, options);
+
+		if (!Number.isFinite(resisted)) {
+			return distance;
+		}
+		const clamped = Math.max(resisted, 0);
+		return options.maxDistance > 0
+			? Math.min(clamped, options.maxDistance)
+			: clamped;
+	}
+
+	static __rubberBand(distance, { threshold, maxDistance, resistance }) {
+		// Track the pointer 1:1 until the pull is armed, then stretch like
+		// a rubber band that approaches max-distance (or twice the
+		// threshold) without ever quite reaching it
+		if (distance <= threshold || resistance === 0) {
+			return distance;
+		}
+		const room =
+			maxDistance > threshold ? maxDistance - threshold : threshold;
+		const overshoot = (distance - threshold) * (1 - resistance);
+		return threshold + (1 - 1 / (overshoot / room + 1)) * room;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	__getIndicatorTransform(edge, offset) {
+		const axis = edge === 'top' || edge === 'bottom' ? 'Y' : 'X';
+		return `translate${axis}(${offset * EDGE_SIGNS[edge]}px)`;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	__setIndicatorState(indicator, state, enabled) {
+		indicator.classList.toggle(state, enabled);
+
+		// Mirror the state as a part so it can be styled from outside,
+		// e.g. ::part(indicator active)
+		const parts = (indicator.getAttribute('part') || '')
+			.split(/\s+/)
+			.filter((part) => part && part !== state);
+		if (enabled) {
+			parts.push(state);
+		}
+		indicator.setAttribute('part', parts.join(' '));
+	}
+
+	__getIndicatorSize(logicalEdge) {
+		// Fall back to the default 3.125rem until the indicator is measured
+		return this.__indicatorSizes[logicalEdge] || 50;
+	}
+
+	__measureIndicators() {
+		const measure = (indicator) => {
+			if (!indicator) return 0;
+			// Offset sizes ignore the transforms used to hide the indicator
+			return this.__edges.axis === 'x'
+				? indicator.offsetWidth
+				: indicator.offsetHeight;
+		};
+		const sizes = {
+			start: measure(this._indicator),
+			end: measure(this._loadMoreIndicator),
+		};
+		const changed =
+			sizes.start !== this.__indicatorSizes.start ||
+			sizes.end !== this.__indicatorSizes.end;
+		this.__indicatorSizes = sizes;
+		return changed;
+	}
+
+	__observeIndicatorSize() {
+		if (
+			this.__indicatorResizeObserver ||
+			typeof ResizeObserver === 'undefined'
+		) {
+			return;
+		}
+
+		// The indicators grow with slotted custom indicators, so watching
+		// their boxes also catches changes to the slotted content
+		this.__indicatorResizeObserver = new ResizeObserver(() =>
+			this.__handleIndicatorResize(),
+		);
+		[this._indicator, this._loadMoreIndicator].forEach((indicator) => {
+			if (indicator) {
+				this.__indicatorResizeObserver.observe(indicator);
+			}
+		});
+	}
+
+	__unobserveIndicatorSize() {
+		if (this.__indicatorResizeObserver) {
+			this.__indicatorResizeObserver.disconnect();
+			this.__indicatorResizeObserver = null;
+		}
+	}
+
+	__handleIndicatorResize() {
+		if (!this.__measureIndicators() || this.isPulling) {
+			return;
+		}
+
+		// Re-hide idle indicators and re-seat the content at the new size
+		if (!this.isRefreshing && !this.isErrored) {
+			this.resetIndicator();
+		}
+		if (!this.isLoadingMore) {
+			this.__resetLoadMoreIndicator();
+		}
+		this.__updateContentOffset();
+	}
+
+	__setContentOffset(edge, distance) {
+		if (!this._content) return;
+
+		// Leave the content untransformed at rest so it doesn't become the
+		// containing block for fixed-position descendants
+		this._content.style.transform =
+			this.mode === 'push' && distance > 0
+				? this.__getIndicatorTransform(edge, distance)
+				: '';
+	}
+
+	__updateContentOffset() {
+		// Keep the content clear of whichever indicator is held in view
+		if (this.isRefreshing || this.isErrored || this.__completionMessage) {
+			this.__setContentOffset(this.__edges.start, this.indicatorHeight);
+		} else if (this.isLoadingMore) {
+			this.__setContentOffset(
+				this.__edges.end,
+				this.__getIndicatorSize('end'),
+			);
+		} else {
+			this.__setContentOffset(this.__edges.start, 0);
+		}
+	}
+
+	__failLoadMore(error) {
+		const cycle = this.__endLoadMoreCycle();
+		this.__resetLoadMoreIndicator();
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:load-more-error', {
+				bubbles: true,
+				composed: true,
+				detail: { error },
+			}),
+		);
+
+		if (cycle) {
+			cycle.resolve();
+		}
+	}
+
+	__timeOutRefresh(timeout) {
+		const cycle = this.__endRefreshCycle();
+		this.__dropQueuedRefresh();
+		this.__setState('idle', 'timeout');
+		this.resetIndicator();
+		cycle.controller.abort(
+			new DOMException('The refresh timed out.', 'TimeoutError'),
+		);
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:refresh-timeout', {
+				bubbles: true,
+				composed: true,
+				detail: { timeout },
+			}),
+		);
+
+		cycle.resolve();
+	}
+
+	__timeOutLoadMore(timeout) {
+		const cycle = this.__endLoadMoreCycle();
+		this.__resetLoadMoreIndicator();
+		cycle.controller.abort(
+			new DOMException('Loading more timed out.', 'TimeoutError'),
+		);
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:load-more-timeout', {
+				bubbles: true,
+				composed: true,
+				detail: { timeout },
+			}),
+		);
+
+		cycle.resolve();
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	__createCycle(handlers) {
+		let resolve;
+		const promise = new Promise((res) => {
+			resolve = res;
+		});
+		return {
+			...handlers,
+			promise,
+			resolve,
+			controller: new AbortController(),
+			active: true,
+			pending: 0,
+			failed: false,
+			error: null,
+			timeoutId: null,
+			// Set while ptr:refresh dispatches, and how it was settled then
+			starting: false,
+			settlement: null,
+		};
+	}
+
+	__createCycleDetail(cycle) {
+		return {
+			complete: (result) => {
+				if (cycle.active) {
+					cycle.complete(result);
+				}
+			},
+			waitUntil: (promise) => this.__extendCycle(cycle, promise),
+			signal: cycle.controller.signal,
+		};
+	}
+
+	__endRefreshCycle() {
+		const cycle = this.__refreshCycle;
+		this.__refreshCycle = null;
+		this._indicator?.classList.remove('busy');
+		this.__deactivateCycle(cycle);
+		// Every refresh, however it started, restarts the interval
+		this.__scheduleAutoRefresh();
+		return cycle;
+	}
+
+	__endLoadMoreCycle() {
+		const cycle = this.__loadMoreCycle;
+		this.__loadMoreCycle = null;
+		this.__isLoadingMore = false;
+		this._loadMoreIndicator?.classList.remove('busy');
+		this.__deactivateCycle(cycle);
+		return cycle;
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	__deactivateCycle(cycle) {
+		if (!cycle) {
+			return;
+		}
+		cycle.active = false;
+		if (cycle.timeoutId !== null) {
+			clearTimeout(cycle.timeoutId);
+			cycle.timeoutId = null;
+		}
+	}
+
+	__startCycleTimeout(cycle) {
+		if (!cycle.active) {
+			return;
+		}
+
+		// Without an explicit refresh-timeout, only cycles that nobody
+		// extended with a promise fall back to the default timeout
+		if (!this.hasAttribute('refresh-timeout') && cycle.pending > 0) {
+			return;
+		}
+
+		const timeout = this.refreshTimeout;
+		if (timeout === 0) {
+			return;
+		}
+
+		cycle.timeoutId = setTimeout(() => {
+			cycle.timeoutId = null;
+			if (cycle.active) {
+				cycle.timeout(timeout);
+			}
+		}, timeout);
+	}
+
+	__extendCycle(cycle, promise) {
+		if (!cycle.active) {
+			throw new DOMException(
+				'waitUntil() was called after the refresh completed.',
+				'InvalidStateError',
+			);
+		}
+
+		// A registered promise replaces the default timeout; the cycle
+		// now lasts until every registered promise settles
+		cycle.pending += 1;
+		if (!this.hasAttribute('refresh-timeout') && cycle.timeoutId !== null) {
+			clearTimeout(cycle.timeoutId);
+			cycle.timeoutId = null;
+		}
+
+		const settle = () => {
+			cycle.pending -= 1;
+			if (cycle.pending !== 0 || !cycle.active) {
+				return;
+			}
+			if (cycle.failed) {
+				cycle.fail(cycle.error);
+			} else {
+				cycle.complete();
+			}
+		};
+		const fail = (error) => {
+			// Report the first rejection once everything has settled
+			if (!cycle.failed) {
+				cycle.failed = true;
+				cycle.error = error;
+			}
+			settle();
+		};
+		Promise.resolve(promise).then(settle, fail);
+	}
+
+	async __loadSource(src, signal) {
+		const response = await fetch(src, {
+			signal,
+			headers: { Accept: 'text/html' },
+		});
+		if (!response.ok) {
+			throw new Error(
+				`Loading ${src} failed with status ${response.status}.`,
+			);
+		}
+		const html = await response.text();
+		// A cancelled or timed out refresh must not swap in stale content
+		if (signal.aborted) {
+			return;
+		}
+		this.__replaceContent(html);
+	}
+
+	__replaceContent(html) {
+		// Templates parse without running scripts or loading resources
+		const template = document.createElement('template');
+		template.innerHTML = html;
+
+		let fragment = template.content;
+		const { select } = this;
+		if (select) {
+			const region = fragment.querySelector(select);
+			if (!region) {
+				throw new Error(
+					`No element in the response matches "${select}".`,
+				);
+			}
+			fragment = region;
+		}
+
+		// Slotted indicators stay; only the default slot content is replaced
+		for (const node of Array.from(this.childNodes)) {
+			if (!(node instanceof Element && node.hasAttribute('slot'))) {
+				node.remove();
+			}
+		}
+		this.append(fragment);
+	}
+
+	__invokeRefreshHandler(cycle, event) {
+		if (!this.__onrefresh || !cycle.active) {
+			return;
+		}
+
+		let result;
+		try {
+			result = this.__onrefresh.call(this, event);
+		} catch (error) {
+			result = Promise.reject(error);
+		}
+
+		if (result && typeof result.then === 'function') {
+			this.__extendCycle(cycle, result);
+		}
+	}
+
+	__clearErrorTimeout() {
+		if (this.__errorTimeoutId !== null) {
+			clearTimeout(this.__errorTimeoutId);
+			this.__errorTimeoutId = null;
+		}
+	}
+
+	__clearErrorState() {
+		if (!this.isErrored) {
+			return;
+		}
+		this.__clearErrorTimeout();
+		if (this._indicator) {
+			this.__setIndicatorState(this._indicator, 'error', false);
+		}
+	}
+
+	__setState(to, reason) {
+		const from = this.__state;
+		if (from === to || !STATE_TRANSITIONS[from].includes(to)) {
+			return false;
+		}
+
+		this.__state = to;
+		if (to !== 'completing') {
+			this.__clearCompletingTimeout();
+		}
+		this.__reflectState(from);
+		this.__updateLastUpdated();
+
+		this.dispatchEvent(
+			new CustomEvent('ptr:state-change', {
+				bubbles: true,
+				composed: true,
+				detail: { from, to, reason },
+			}),
+		);
+		return true;
+	}
+
+	__reflectState(previous) {
+		// Attributes can't be added while the element is being constructed
+		if (this.isConnected || this.hasAttribute('state')) {
+			this.setAttribute('state', this.__state);
+		}
+
+		const states = this.__internals?.states;
+		if (!states) {
+			return;
+		}
+		if (previous) {
+			PullToRefreshElement.__toggleCustomState(states, previous, false);
+		}
+		PullToRefreshElement.__toggleCustomState(states, this.__state, true);
+	}
+
+	static __toggleCustomState(states, state, enabled) {
+		try {
+			if (enabled) {
+				states.add(state);
+			} else {
+				states.delete(state);
+			}
+		} catch {
+			// Older Chromium versions only accept dashed custom state names
+			if (enabled) {
+				states.add(`--${state}`);
+			} else {
+				states.delete(`--${state}`);
+			}
+		}
+	}
+
+	__enterCompletingState() {
+		if (!this.__setState('completing', 'complete')) {
+			return;
+		}
+		this.__scheduleCompletingEnd();
+	}
+
+	__scheduleCompletingEnd() {
+		// Stay in the completing state while the indicator animates away
+		this.__completingTimeoutId = setTimeout(() => {
+			this.__completingTimeoutId = null;
+			this.__setState('idle', 'completed');
+		}, this.__getTransitionDuration());
+	}
+
+	__holdCompletionMessage(message, duration = this.completeDuration) {
+		this.__completionMessage = message;
+		if (this._indicator) {
+			this._indicator.style.transform = this.__getIndicatorTransform(
+				this.__edges.start,
+				0,
+			);
+			this.__setIndicatorState(this._indicator, 'active', false);
+			this.__setIndicatorState(this._indicator, 'success', true);
+		}
+		this.__updateContentOffset();
+		this.__updateIndicatorTextForState();
+
+		this.__completingTimeoutId = setTimeout(() => {
+			this.resetIndicator();
+			this.__scheduleCompletingEnd();
+		}, duration);
+	}
+
+	__getCompletionMessage(result) {
+		if (!result || typeof result !== 'object') {
+			return null;
+		}
+		if (typeof result.message === 'string' && result.message) {
+			return result.message;
+		}
+		if (!Number.isFinite(result.count)) {
+			return null;
+		}
+		if (result.count === 0) {
+			return this.upToDateText;
+		}
+
+		// Pick the plural form the language uses for this count
+		const forms = this.__getTranslations().newItems;
+		const locale = this.__getFormatLocale();
+		const category = new Intl.PluralRules(locale).select(result.count);
+		return (forms[category] ?? forms.other).replace(
+			'{count}',
+			new Intl.NumberFormat(locale).format(result.count),
+		);
+	}
+
+	__getTransitionDuration() {
+		if (!this._indicator) {
+			return 0;
+		}
+		// Only the first listed duration applies to the indicator transform
+		const { transitionDuration = '' } = getComputedStyle(this._indicator);
+		const duration = transitionDuration.split(',')[0].trim();
+		const numericValue = parseFloat(duration);
+		if (!Number.isFinite(numericValue)) {
+			return 0;
+		}
+		return duration.endsWith('ms') ? numericValue : numericValue * 1000;
+	}
+
+	__scheduleAutoRefresh() {
+		this.__clearAutoRefreshTimeout();
+		const interval = this.autoRefresh;
+		// Polling pauses while detached or hidden and restarts in full after
+		if (interval === 0 || !this.isConnected || document.hidden) {
+			return;
+		}
+
+		this.__autoRefreshTimeoutId = setTimeout(() => {
+			this.__autoRefreshTimeoutId = null;
+			if (this.isRefreshing || this.disabled) {
+				this.__scheduleAutoRefresh();
+				return;
+			}
+			this.triggerRefresh({ source: 'auto' });
+			// A vetoed refresh never ends a cycle, so schedule the next tick here
+			if (!this.isRefreshing && this.__autoRefreshTimeoutId === null) {
+				this.__scheduleAutoRefresh();
+			}
+		}, interval);
+	}
+
+	__clearAutoRefreshTimeout() {
+		if (this.__autoRefreshTimeoutId !== null) {
+			clearTimeout(this.__autoRefreshTimeoutId);
+			this.__autoRefreshTimeoutId = null;
+		}
+	}
+
+	__updateLastUpdated() {
+		this.__clearLastUpdatedTimeout();
+		const element = this._lastUpdatedEl;
+		if (!element) {
+			return;
+		}
+
+		element.hidden = !this.showLastUpdated || this.__lastRefreshed === null;
+		if (element.hidden) {
+			return;
+		}
+
+		const elapsed = Math.max(0, Date.now() - this.__lastRefreshed);
+		const [unit, size] = RELATIVE_TIME_UNITS.find(
+			([, unitSize]) => elapsed >= unitSize,
+		) ?? ['second', 60000];
+		const value = unit === 'second' ? 0 : Math.floor(elapsed / size);
+		const time = new Intl.RelativeTimeFormat(this.__getFormatLocale(), {
+			numeric: 'auto',
+		}).format(-value, unit);
+		element.textContent = this.__getTranslations().lastUpdated.replace(
+			'{time}',
+			time,
+		);
+
+		// Keep the line current while the indicator is out
+		if (this.__state !== 'idle' && this.__state !== 'disabled') {
+			this.__lastUpdatedTimeoutId = setTimeout(
+				() => this.__updateLastUpdated(),
+				size - (elapsed % size),
+			);
+		}
+	}
+
+	__clearLastUpdatedTimeout() {
+		if (this.__lastUpdatedTimeoutId !== null) {
+			clearTimeout(this.__lastUpdatedTimeoutId);
+			this.__lastUpdatedTimeoutId = null;
+		}
+	}
+
+	__clearCompletingTimeout() {
+		if (this.__completingTimeoutId !== null) {
+			clearTimeout(this.__completingTimeoutId);
+			this.__completingTimeoutId = null;
+		}
+	}
+
+	__clearAriaLiveResetTimeout() {
+		if (this.__ariaLiveResetTimeoutId !== null) {
+			clearTimeout(this.__ariaLiveResetTimeoutId);
+			this.__ariaLiveResetTimeoutId = null;
+		}
+	}
+
+	__upgradeProperty(prop) {
+		if (Object.prototype.hasOwnProperty.call(this, prop)) {
+			const value = this[prop];
+			delete this[prop];
+			this[prop] = value;
+		}
+	}
+}
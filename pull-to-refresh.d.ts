@@ -2,29 +2,240 @@ export interface PullToRefreshTranslationSet {
 	indicator: string;
 	release: string;
 	refreshing: string;
+	error?: string;
+	loadMore?: string;
+	loadMoreRelease?: string;
+	loadingMore?: string;
+	refreshButton?: string;
+	/** Wording around the relative time; `{time}` is replaced with it */
+	lastUpdated?: string;
+	upToDate?: string;
+	/** Success messages keyed by Intl.PluralRules category; `{count}` is replaced */
+	newItems?: Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
 }
 
-export interface PullToRefreshRefreshDetail {
+export type PullToRefreshEdge = 'top' | 'bottom' | 'left' | 'right';
+
+export type PullToRefreshAxis = 'x' | 'y';
+
+export type PullToRefreshMode = 'overlay' | 'push';
+
+export type PullToRefreshIndicatorStyle =
+	| 'text'
+	| 'spinner'
+	| 'arc'
+	| 'material'
+	| 'ios';
+
+export type PullToRefreshDirection = 'down' | 'up' | 'left' | 'right';
+
+export type PullToRefreshState =
+	| 'idle'
+	| 'pulling'
+	| 'armed'
+	| 'refreshing'
+	| 'completing'
+	| 'error'
+	| 'disabled';
+
+export interface PullToRefreshStateChangeDetail {
+	from: PullToRefreshState;
+	to: PullToRefreshState;
+	reason: string;
+}
+
+export type PullToRefreshStateChangeEvent =
+	CustomEvent<PullToRefreshStateChangeDetail>;
+
+export interface PullToRefreshPullDetail {
+	edge: PullToRefreshEdge | null;
+	axis: PullToRefreshAxis;
+}
+
+export interface PullToRefreshPullMoveDetail {
+	distance: number;
+	resistedDistance: number;
+	edge: PullToRefreshEdge;
+	axis: PullToRefreshAxis;
+}
+
+export type PullToRefreshPullMoveEvent =
+	CustomEvent<PullToRefreshPullMoveDetail>;
+
+export interface PullToRefreshResistanceOptions {
+	threshold: number;
+	maxDistance: number;
+	resistance: number;
+}
+
+export type PullToRefreshResistanceFunction = (
+	this: PullToRefreshElement,
+	distance: number,
+	options: PullToRefreshResistanceOptions,
+) => number;
+
+export type PullToRefreshTriggerSource =
+	| 'pull'
+	| 'button'
+	| 'keyboard'
+	| 'retry'
+	| 'auto'
+	| 'stale'
+	| 'api'
+	| (string & {});
+
+export type PullToRefreshCoalesce = 'join' | 'queue';
+
+export interface PullToRefreshTriggerOptions {
+	source?: PullToRefreshTriggerSource;
+	/** What to do while a refresh is running; defaults to the coalesce attribute */
+	coalesce?: PullToRefreshCoalesce;
+}
+
+export interface PullToRefreshCycleDetail {
 	complete: () => void;
+	waitUntil: (promise: PromiseLike<unknown>) => void;
+	signal: AbortSignal;
 }
 
+export interface PullToRefreshCompleteResult {
+	/** Success message shown for complete-duration */
+	message?: string;
+	/** Number of new items, shown with the plural-aware newItems message */
+	count?: number;
+}
+
+export interface PullToRefreshRefreshDetail extends PullToRefreshCycleDetail {
+	complete: (result?: PullToRefreshCompleteResult) => void;
+	source: PullToRefreshTriggerSource;
+}
+
+export interface PullToRefreshCompleteDetail {
+	result: PullToRefreshCompleteResult | null;
+}
+
+export type PullToRefreshCompleteEvent =
+	CustomEvent<PullToRefreshCompleteDetail>;
+
 export type PullToRefreshRefreshEvent = CustomEvent<PullToRefreshRefreshDetail>;
 
+export type PullToRefreshLoadMoreEvent = CustomEvent<PullToRefreshCycleDetail>;
+
+export interface PullToRefreshErrorDetail {
+	error: unknown;
+}
+
+export type PullToRefreshErrorEvent = CustomEvent<PullToRefreshErrorDetail>;
+
+export interface PullToRefreshSkippedDetail {
+	reason: 'min-interval';
+	source: PullToRefreshTriggerSource;
+}
+
+export type PullToRefreshSkippedEvent = CustomEvent<PullToRefreshSkippedDetail>;
+
+export interface PullToRefreshTimeoutDetail {
+	timeout: number;
+}
+
+export type PullToRefreshTimeoutEvent = CustomEvent<PullToRefreshTimeoutDetail>;
+
+/** Translation sets keyed by BCP 47 language tag */
+export type PullToRefreshTranslations = Record<
+	string,
+	Partial<PullToRefreshTranslationSet>
+>;
+
+export type PullToRefreshLocaleLoader = (
+	lang: string,
+) => Promise<
+	| Partial<PullToRefreshTranslationSet>
+	| { default: Partial<PullToRefreshTranslationSet> }
+	| null
+	| undefined
+>;
+
 export declare class PullToRefreshElement extends HTMLElement {
-	static registerTranslations(
-		translations: Record<string, PullToRefreshTranslationSet>,
-	): void;
+	/** Built-in translations: every language in the full build, English only in the core build */
+	static defaultTranslations: PullToRefreshTranslations;
+
+	static registerTranslations(translations: PullToRefreshTranslations): void;
+
+	static setLocaleLoader(loader: PullToRefreshLocaleLoader | null): void;
 
 	threshold: number;
+	resistance: number;
+	maxDistance: number;
+	mode: PullToRefreshMode;
+	indicatorStyle: PullToRefreshIndicatorStyle;
+	resistanceFunction: PullToRefreshResistanceFunction | null;
 	indicatorText: string;
 	releaseText: string;
 	refreshingText: string;
+	errorText: string;
+	upToDateText: string;
+	errorDuration: number;
+	completeDuration: number;
+	tapToRetry: boolean;
+	refreshTimeout: number;
+	/** Interval in milliseconds, at least 1000 (0 when off) */
+	get autoRefresh(): number;
+	/** Milliseconds, or a duration string such as "60s" */
+	set autoRefresh(value: number | string | null);
+	/** Staleness limit in milliseconds (0 when off) */
+	get staleAfter(): number;
+	/** Milliseconds, or a duration string such as "30m" */
+	set staleAfter(value: number | string | null);
+	direction: PullToRefreshDirection;
+	directions: string;
+	refreshButton: 'visible' | 'hidden' | null;
+	refreshButtonText: string;
+	keyboardShortcut: string | null;
+	loadMoreThreshold: number;
+	loadMoreText: string;
+	loadMoreReleaseText: string;
+	loadingMoreText: string;
+	scrollTarget: string | null;
+	ignoreSelector: string | null;
+	src: string | null;
+	select: string | null;
+	wheel: boolean;
+	readonly state: PullToRefreshState;
+	readonly lastRefreshed: Date | null;
+	showLastUpdated: boolean;
+	/** Cooldown in milliseconds (0 when off) */
+	get minInterval(): number;
+	/** Milliseconds, or a duration string such as "30s" */
+	set minInterval(value: number | string | null);
+	coalesce: PullToRefreshCoalesce;
+	readonly isRefreshing: boolean;
+	readonly isLoadingMore: boolean;
+	readonly isErrored: boolean;
 	disabled: boolean;
 	disableSelection: boolean;
+	onrefresh:
+		| ((
+				this: PullToRefreshElement,
+				event: PullToRefreshRefreshEvent,
+		  ) => unknown)
+		| null;
+	/** Per-element translations; the element stores a frozen copy, so assign a new object to change them */
+	translations: PullToRefreshTranslations | null;
+	canRefresh:
+		| ((
+				this: PullToRefreshElement,
+				detail: { source: PullToRefreshTriggerSource },
+		  ) => boolean)
+		| null;
 	readonly indicatorHeight: number;
 
-	triggerRefresh(): Promise<void>;
-	completeRefresh(): void;
+	triggerRefresh(options?: PullToRefreshTriggerOptions): Promise<void>;
+	completeRefresh(result?: PullToRefreshCompleteResult): void;
+	failRefresh(error?: unknown): void;
+	cancelRefresh(reason?: unknown): void;
+	triggerLoadMore(): Promise<void>;
+	completeLoadMore(): void;
+	cancelLoadMore(reason?: unknown): void;
 }
 
 export declare function definePullToRefresh(tagName?: string): boolean;
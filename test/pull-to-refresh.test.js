@@ -236,51 +236,3112 @@ describe('PullToRefreshElement', () => {
 			expect(completeHandler).toHaveBeenCalled();
 		});
 
-		it('should auto-complete if complete() is not called', async () => {
+		it('should time out if complete() is not called', async () => {
 			const completeHandler = vi.fn();
+			const timeoutHandler = vi.fn();
 			element.addEventListener('ptr:refresh-complete', completeHandler);
+			element.addEventListener('ptr:refresh-timeout', timeoutHandler);
 
 			element.triggerRefresh();
 
-			// Wait for auto-complete timeout
+			// Wait for the default refresh timeout
 			await new Promise((resolve) => setTimeout(resolve, 2100));
 
-			expect(completeHandler).toHaveBeenCalled();
+			expect(timeoutHandler).toHaveBeenCalled();
+			expect(completeHandler).not.toHaveBeenCalled();
+			expect(element.isRefreshing).toBe(false);
+		});
+	});
+
+	describe('Refresh Lifecycle', () => {
+		it('should set isRefreshing to true during refresh', () => {
+			expect(element.isRefreshing).toBe(false);
+			element.triggerRefresh();
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it('should set isRefreshing to false after completion', () => {
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.complete();
+			});
+
+			element.triggerRefresh();
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should update indicator text during refresh', () => {
+			element.triggerRefresh();
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.textContent.trim()).toBe('⏳ Refreshing...');
+		});
+
+		it('should reset indicator after completion', () => {
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.complete();
+			});
+
+			element.triggerRefresh();
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.textContent.trim()).toBe('↓ Pull to refresh');
+		});
+
+		it('should finish when a listener calls completeRefresh() right away', async () => {
+			const completeHandler = vi.fn();
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+			element.addEventListener('ptr:refresh', () => {
+				element.completeRefresh();
+			});
+
+			await element.triggerRefresh();
+			expect(element.isRefreshing).toBe(false);
+			expect(completeHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should fail when a listener calls failRefresh() right away', async () => {
+			const errorHandler = vi.fn();
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			element.addEventListener('ptr:refresh', () => {
+				element.failRefresh(new Error('nope'));
+			});
+
+			await element.triggerRefresh();
+			expect(element.state).toBe('error');
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should not start when a listener calls cancelRefresh() right away', async () => {
+			let signal;
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+				element.cancelRefresh();
+			});
+
+			await element.triggerRefresh();
+			expect(element.state).toBe('idle');
+			expect(stateHandler).not.toHaveBeenCalled();
+			expect(signal.aborted).toBe(true);
+		});
+	});
+
+	describe('Promise-based Refresh', () => {
+		it('should expose waitUntil() in the ptr:refresh detail', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+
+			element.triggerRefresh();
+
+			expect(
+				typeof refreshHandler.mock.calls[0][0].detail.waitUntil,
+			).toBe('function');
+		});
+
+		it('should stay refreshing until every waitUntil() promise settles', async () => {
+			let resolveFirst;
+			let rejectSecond;
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.waitUntil(
+					new Promise((resolve) => {
+						resolveFirst = resolve;
+					}),
+				);
+				e.detail.waitUntil(
+					new Promise((resolve, reject) => {
+						rejectSecond = reject;
+					}),
+				);
+			});
+
+			const done = element.triggerRefresh();
+			resolveFirst();
+			await Promise.resolve();
+			expect(element.isRefreshing).toBe(true);
+
+			rejectSecond(new Error('nope'));
+			await done;
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should not auto-complete while a waitUntil() promise is pending', async () => {
+			vi.useFakeTimers();
+			try {
+				element.addEventListener('ptr:refresh', (e) => {
+					e.detail.waitUntil(new Promise(() => {}));
+				});
+
+				element.triggerRefresh();
+				vi.advanceTimersByTime(5000);
+
+				expect(element.isRefreshing).toBe(true);
+			} finally {
+				vi.useRealTimers();
+			}
+		});
+
+		it('should wait for the promise returned by onrefresh', async () => {
+			let resolveRefresh;
+			const completeHandler = vi.fn();
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+			element.onrefresh = vi.fn(
+				() =>
+					new Promise((resolve) => {
+						resolveRefresh = resolve;
+					}),
+			);
+
+			const done = element.triggerRefresh();
+			expect(element.onrefresh).toHaveBeenCalledTimes(1);
+			expect(element.onrefresh.mock.calls[0][0].type).toBe('ptr:refresh');
+			expect(completeHandler).not.toHaveBeenCalled();
+
+			resolveRefresh();
+			await done;
+			expect(completeHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should ignore non-function onrefresh values', () => {
+			element.onrefresh = 'not a function';
+			expect(element.onrefresh).toBe(null);
+		});
+
+		it('should return the in-flight promise when already refreshing', () => {
+			const first = element.triggerRefresh();
+			const second = element.triggerRefresh();
+			expect(second).toBe(first);
+		});
+
+		it('should resolve triggerRefresh() once complete() is called', async () => {
+			element.addEventListener('ptr:refresh', (e) => {
+				setTimeout(() => e.detail.complete(), 0);
+			});
+
+			await element.triggerRefresh();
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should throw when waitUntil() is called after completion', () => {
+			let detail;
+			element.addEventListener('ptr:refresh', (e) => {
+				detail = e.detail;
+				e.detail.complete();
+			});
+
+			element.triggerRefresh();
+			expect(() => detail.waitUntil(Promise.resolve())).toThrow(
+				DOMException,
+			);
+		});
+	});
+
+	describe('Refresh Errors', () => {
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it('should enter the error state via failRefresh()', () => {
+			const errorHandler = vi.fn();
+			const completeHandler = vi.fn();
+			const error = new Error('Network down');
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+
+			element.triggerRefresh();
+			element.failRefresh(error);
+
+			expect(element.isRefreshing).toBe(false);
+			expect(element.isErrored).toBe(true);
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+			expect(errorHandler.mock.calls[0][0].detail.error).toBe(error);
+			expect(completeHandler).not.toHaveBeenCalled();
+		});
+
+		it('should show the error text while in the error state', () => {
+			element.triggerRefresh();
+			element.failRefresh(new Error('oops'));
+
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.textContent.trim()).toBe('⚠ Refresh failed');
+			expect(indicator.classList.contains('error')).toBe(true);
+		});
+
+		it('should fail the refresh when a waitUntil() promise rejects', async () => {
+			const errorHandler = vi.fn();
+			const error = new Error('Server error');
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.waitUntil(Promise.reject(error));
+			});
+
+			await element.triggerRefresh();
+
+			expect(element.isErrored).toBe(true);
+			expect(errorHandler.mock.calls[0][0].detail.error).toBe(error);
+		});
+
+		it('should fail the refresh when onrefresh rejects', async () => {
+			const errorHandler = vi.fn();
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			element.onrefresh = async () => {
+				throw new Error('Failed');
+			};
+
+			await element.triggerRefresh();
+
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should clear the error state after error-duration', () => {
+			vi.useFakeTimers();
+			element.errorDuration = 500;
+
+			element.triggerRefresh();
+			element.failRefresh(new Error('oops'));
+			vi.advanceTimersByTime(499);
+			expect(element.isErrored).toBe(true);
+
+			vi.advanceTimersByTime(1);
+			expect(element.isErrored).toBe(false);
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.textContent.trim()).toBe('↓ Pull to refresh');
+		});
+
+		it('should retry when the error message is tapped with tap-to-retry', () => {
+			const refreshHandler = vi.fn();
+			element.tapToRetry = true;
+			element.triggerRefresh();
+			element.failRefresh(new Error('oops'));
+			element.addEventListener('ptr:refresh', refreshHandler);
+
+			element.shadowRoot.querySelector('.ptr-indicator').click();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(element.isErrored).toBe(false);
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it.each(['Enter', ' '])(
+			'should retry from the keyboard with %j on the retry button',
+			(key) => {
+				const refreshHandler = vi.fn();
+				element.tapToRetry = true;
+				element.triggerRefresh();
+				element.failRefresh(new Error('oops'));
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				const button =
+					element.shadowRoot.querySelector('.ptr-retry-button');
+				expect(button.hidden).toBe(false);
+				expect(button.type).toBe('button');
+				expect(button.textContent).toBe('⚠ Refresh failed');
+				button.focus();
+				expect(element.shadowRoot.activeElement).toBe(button);
+
+				// Buttons activate on Enter and Space unless keydown is canceled
+				const keydown = new KeyboardEvent('keydown', {
+					key,
+					bubbles: true,
+					composed: true,
+					cancelable: true,
+				});
+				button.dispatchEvent(keydown);
+				expect(keydown.defaultPrevented).toBe(false);
+				button.click();
+
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+				expect(refreshHandler.mock.calls[0][0].detail.source).toBe(
+					'retry',
+				);
+				expect(button.hidden).toBe(true);
+			},
+		);
+
+		it('should only show the retry button for errors with tap-to-retry', () => {
+			const button =
+				element.shadowRoot.querySelector('.ptr-retry-button');
+			element.triggerRefresh();
+			element.failRefresh(new Error('oops'));
+			expect(button.hidden).toBe(true);
+
+			element.tapToRetry = true;
+			expect(button.hidden).toBe(false);
+			expect(
+				element.shadowRoot.querySelector('.ptr-indicator-text').hidden,
+			).toBe(true);
+		});
+
+		it('should not retry on tap without tap-to-retry', () => {
+			const refreshHandler = vi.fn();
+			element.triggerRefresh();
+			element.failRefresh(new Error('oops'));
+			element.addEventListener('ptr:refresh', refreshHandler);
+
+			element.shadowRoot.querySelector('.ptr-indicator').click();
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+
+		it('should sanitize error-duration values', () => {
+			expect(element.errorDuration).toBe(3000);
+			element.setAttribute('error-duration', '-1');
+			expect(element.hasAttribute('error-duration')).toBe(false);
+			element.errorDuration = 1500;
+			expect(element.getAttribute('error-duration')).toBe('1500');
+		});
+
+		it('should localize the error text', () => {
+			element.setAttribute('lang', 'es');
+			expect(element.errorText).toBe('⚠ Error al actualizar');
+			element.errorText = 'Custom error';
+			expect(element.errorText).toBe('Custom error');
+		});
+	});
+
+	describe('Timeouts & Cancellation', () => {
+		beforeEach(() => {
+			vi.useFakeTimers();
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it('should default refresh-timeout to 2000', () => {
+			expect(element.refreshTimeout).toBe(2000);
+		});
+
+		it('should sanitize refresh-timeout values', () => {
+			element.refreshTimeout = 5000;
+			expect(element.getAttribute('refresh-timeout')).toBe('5000');
+			element.setAttribute('refresh-timeout', 'soon');
+			expect(element.hasAttribute('refresh-timeout')).toBe(false);
+			expect(element.refreshTimeout).toBe(2000);
+		});
+
+		it('should provide an AbortSignal in the ptr:refresh detail', () => {
+			let signal;
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+			});
+
+			element.triggerRefresh();
+
+			expect(signal).toBeInstanceOf(AbortSignal);
+			expect(signal.aborted).toBe(false);
+		});
+
+		it('should abort the signal and fire ptr:refresh-timeout after refresh-timeout', () => {
+			let signal;
+			const timeoutHandler = vi.fn();
+			element.refreshTimeout = 500;
+			element.addEventListener('ptr:refresh-timeout', timeoutHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+				e.detail.waitUntil(new Promise(() => {}));
+			});
+
+			element.triggerRefresh();
+			vi.advanceTimersByTime(500);
+
+			expect(signal.aborted).toBe(true);
+			expect(signal.reason.name).toBe('TimeoutError');
+			expect(timeoutHandler).toHaveBeenCalledTimes(1);
+			expect(timeoutHandler.mock.calls[0][0].detail.timeout).toBe(500);
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should never time out when refresh-timeout is 0', () => {
+			const timeoutHandler = vi.fn();
+			element.refreshTimeout = 0;
+			element.addEventListener('ptr:refresh-timeout', timeoutHandler);
+
+			element.triggerRefresh();
+			vi.advanceTimersByTime(60000);
+
+			expect(timeoutHandler).not.toHaveBeenCalled();
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it('should abort the signal when cancelRefresh() is called', async () => {
+			let signal;
+			const completeHandler = vi.fn();
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+			});
+
+			const done = element.triggerRefresh();
+			element.cancelRefresh();
+			await done;
+
+			expect(signal.aborted).toBe(true);
+			expect(signal.reason.name).toBe('AbortError');
+			expect(element.isRefreshing).toBe(false);
+			expect(completeHandler).not.toHaveBeenCalled();
+		});
+
+		it('should abort the signal when the element disconnects', () => {
+			let signal;
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+			});
+
+			element.triggerRefresh();
+			element.remove();
+
+			expect(signal.aborted).toBe(true);
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should ignore waitUntil() promises that settle after cancellation', async () => {
+			let rejectFetch;
+			const errorHandler = vi.fn();
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.waitUntil(
+					new Promise((resolve, reject) => {
+						rejectFetch = reject;
+					}),
+				);
+			});
+
+			element.triggerRefresh();
+			element.cancelRefresh();
+			rejectFetch(new DOMException('Aborted', 'AbortError'));
+			await Promise.resolve();
+
+			expect(errorHandler).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Scroll Target', () => {
+		it('should reflect scroll-target via property', () => {
+			expect(element.scrollTarget).toBe(null);
+			element.scrollTarget = 'document';
+			expect(element.getAttribute('scroll-target')).toBe('document');
+			element.scrollTarget = null;
+			expect(element.hasAttribute('scroll-target')).toBe(false);
+		});
+
+		it('should only start a pull when the external scroller is at the top', () => {
+			const scroller = document.createElement('div');
+			scroller.id = 'feed';
+			document.body.appendChild(scroller);
+			element.scrollTarget = '#feed';
+
+			scroller.scrollTop = 120;
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			expect(element.isPulling).toBe(false);
+
+			scroller.scrollTop = 0;
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			expect(element.isPulling).toBe(true);
+		});
+
+		it('should ignore the internal container when a scroll target is set', () => {
+			const container =
+				element.shadowRoot.querySelector('.ptr-container');
+			container.scrollTop = 50;
+			element.scrollTarget = 'document';
+
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			expect(element.isPulling).toBe(true);
+		});
+
+		it('should reset the indicator when the external scroller scrolls', () => {
+			const scroller = document.createElement('div');
+			scroller.id = 'feed';
+			document.body.appendChild(scroller);
+			element.scrollTarget = '#feed';
+
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			indicator.classList.add('active');
+			scroller.scrollTop = 10;
+			scroller.dispatchEvent(new Event('scroll'));
+
+			expect(indicator.classList.contains('active')).toBe(false);
+		});
+
+		it.each(['#does-not-exist', '[invalid'])(
+			'should fall back to the internal container for %j',
+			(selector) => {
+				const container =
+					element.shadowRoot.querySelector('.ptr-container');
+				element.scrollTarget = selector;
+				expect(element.hasAttribute('external-scroll')).toBe(false);
+
+				// The container still scrolls, so it still decides
+				container.scrollTop = 50;
+				element.handleStart(
+					new PointerEvent('pointerdown', { clientY: 0 }),
+				);
+				expect(element.isPulling).toBe(false);
+			},
+		);
+
+		it('should mark the host only when the scroll target resolves', () => {
+			element.scrollTarget = 'document';
+			expect(element.hasAttribute('external-scroll')).toBe(true);
+
+			element.scrollTarget = null;
+			expect(element.hasAttribute('external-scroll')).toBe(false);
+		});
+
+		it('should pick up a scroll target added later', () => {
+			element.scrollTarget = '#feed';
+			expect(element.hasAttribute('external-scroll')).toBe(false);
+
+			const scroller = document.createElement('div');
+			scroller.id = 'feed';
+			document.body.appendChild(scroller);
+			scroller.scrollTop = 120;
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+
+			expect(element.isPulling).toBe(false);
+			expect(element.hasAttribute('external-scroll')).toBe(true);
+		});
+	});
+
+	describe('Load More', () => {
+		const pullUp = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 500 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 500 - distance }),
+			);
+		};
+
+		it('should only allow top pulls by default', () => {
+			expect(element.directions).toBe('top');
+
+			pullUp(100);
+
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should normalize the directions attribute', () => {
+			element.directions = ['bottom', 'top', 'bottom'];
+			expect(element.getAttribute('directions')).toBe(
+				'bottom top bottom',
+			);
+			expect(element.directions).toBe('bottom top');
+
+			element.setAttribute('directions', 'sideways');
+			expect(element.directions).toBe('top');
+		});
+
+		it('should fire ptr:load-more when pulled up past the threshold', () => {
+			const loadMoreHandler = vi.fn();
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:load-more', loadMoreHandler);
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.directions = 'top bottom';
+
+			pullUp(100);
+			element.handleEnd();
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+			expect(loadMoreHandler).toHaveBeenCalledTimes(1);
+			const { detail } = loadMoreHandler.mock.calls[0][0];
+			expect(typeof detail.complete).toBe('function');
+			expect(typeof detail.waitUntil).toBe('function');
+			expect(detail.signal).toBeInstanceOf(AbortSignal);
+			expect(element.isLoadingMore).toBe(true);
+		});
+
+		it('should report the edge in pull events', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.directions = 'bottom';
+
+			pullUp(40);
+
+			expect(moveHandler.mock.calls[0][0].detail).toEqual({
+				distance: 40,
+				resistedDistance: 40,
+				edge: 'bottom',
+				axis: 'y',
+			});
+		});
+
+		it('should not load more below load-more-threshold', () => {
+			const loadMoreHandler = vi.fn();
+			element.addEventListener('ptr:load-more', loadMoreHandler);
+			element.directions = 'bottom';
+			element.loadMoreThreshold = 150;
+
+			pullUp(100);
+			element.handleEnd();
+
+			expect(loadMoreHandler).not.toHaveBeenCalled();
+		});
+
+		it('should default load-more-threshold to threshold', () => {
+			element.threshold = 120;
+			expect(element.loadMoreThreshold).toBe(120);
+			element.loadMoreThreshold = 60;
+			expect(element.loadMoreThreshold).toBe(60);
+		});
+
+		it('should cancel downward pulls when only bottom is enabled', () => {
+			element.directions = 'bottom';
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 100 }),
+			);
+
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should not start a bottom pull away from the bottom edge', () => {
+			const container =
+				element.shadowRoot.querySelector('.ptr-container');
+			Object.defineProperty(container, 'scrollHeight', { value: 1000 });
+			Object.defineProperty(container, 'clientHeight', { value: 400 });
+			container.scrollTop = 300;
+			element.directions = 'bottom';
+
+			pullUp(100);
+			expect(element.isPulling).toBe(false);
+
+			container.scrollTop = 600;
+			pullUp(100);
+			expect(element.isPullingConfirmed).toBe(true);
+		});
+
+		it('should complete loading more once waitUntil() promises settle', async () => {
+			const completeHandler = vi.fn();
+			element.addEventListener('ptr:load-more-complete', completeHandler);
+			element.addEventListener('ptr:load-more', (e) => {
+				e.detail.waitUntil(Promise.resolve());
+			});
+
+			await element.triggerLoadMore();
+
+			expect(completeHandler).toHaveBeenCalledTimes(1);
+			expect(element.isLoadingMore).toBe(false);
+		});
+
+		it('should fire ptr:load-more-error when a waitUntil() promise rejects', async () => {
+			const errorHandler = vi.fn();
+			const error = new Error('No more items');
+			element.addEventListener('ptr:load-more-error', errorHandler);
+			element.addEventListener('ptr:load-more', (e) => {
+				e.detail.waitUntil(Promise.reject(error));
+			});
+
+			await element.triggerLoadMore();
+
+			expect(errorHandler.mock.calls[0][0].detail.error).toBe(error);
+			expect(element.isErrored).toBe(false);
+		});
+
+		it('should show localized load-more text', () => {
+			const textEl = element.shadowRoot.querySelector(
+				'.ptr-load-more-indicator-text',
+			);
+			expect(textEl.textContent).toBe('↑ Pull to load more');
+
+			element.triggerLoadMore();
+			expect(textEl.textContent).toBe('⏳ Loading more...');
+
+			element.completeLoadMore();
+			element.setAttribute('lang', 'es');
+			expect(textEl.textContent).toBe('↑ Desliza para cargar más');
+		});
+
+		it('should show the release text past the load-more threshold', () => {
+			element.directions = 'bottom';
+			pullUp(element.loadMoreThreshold + 10);
+
+			const textEl = element.shadowRoot.querySelector(
+				'.ptr-load-more-indicator-text',
+			);
+			expect(textEl.textContent).toBe(element.loadMoreReleaseText);
+		});
+
+		it('should abort loading more on cancelLoadMore()', () => {
+			let signal;
+			element.addEventListener('ptr:load-more', (e) => {
+				signal = e.detail.signal;
+			});
+
+			element.triggerLoadMore();
+			element.cancelLoadMore();
+
+			expect(signal.aborted).toBe(true);
+			expect(element.isLoadingMore).toBe(false);
+		});
+	});
+
+	describe('Pull Direction', () => {
+		const pull = (dx, dy) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientX: 200, clientY: 200 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', {
+					clientX: 200 + dx,
+					clientY: 200 + dy,
+				}),
+			);
+		};
+
+		it('should default to a downward pull', () => {
+			expect(element.direction).toBe('down');
+			element.setAttribute('direction', 'diagonal');
+			expect(element.direction).toBe('down');
+		});
+
+		it('should reflect direction via property', () => {
+			element.direction = 'left';
+			expect(element.getAttribute('direction')).toBe('left');
+		});
+
+		it('should place the indicators on the configured axis', () => {
+			const indicator = element.shadowRoot.querySelector(
+				'.ptr-indicator:not(.ptr-load-more-indicator)',
+			);
+			const loadMoreIndicator = element.shadowRoot.querySelector(
+				'.ptr-load-more-indicator',
+			);
+			expect(indicator.dataset.edge).toBe('top');
+
+			element.direction = 'right';
+			expect(indicator.dataset.edge).toBe('left');
+			expect(loadMoreIndicator.dataset.edge).toBe('right');
+			expect(indicator.style.transform).toBe('translateX(-50px)');
+
+			element.direction = 'up';
+			expect(indicator.dataset.edge).toBe('bottom');
+			expect(indicator.style.transform).toBe('translateY(50px)');
+		});
+
+		it('should trigger a refresh from a horizontal pull', () => {
+			const refreshHandler = vi.fn();
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.direction = 'right';
+
+			pull(100, 0);
+			element.handleEnd();
+
+			expect(moveHandler.mock.calls[0][0].detail).toMatchObject({
+				distance: 100,
+				edge: 'left',
+				axis: 'x',
+			});
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should cancel pulls along the other axis', () => {
+			element.direction = 'right';
+			pull(0, 100);
+			expect(element.isPulling).toBe(false);
+
+			element.direction = 'down';
+			pull(100, 10);
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should load more when pulling past the end of a horizontal scroller', () => {
+			const loadMoreHandler = vi.fn();
+			element.addEventListener('ptr:load-more', loadMoreHandler);
+			element.direction = 'right';
+			element.directions = 'end';
+
+			pull(-100, 0);
+			element.handleEnd();
+
+			expect(loadMoreHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should refresh from an upward pull with direction="up"', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.direction = 'up';
+
+			pull(0, -100);
+			element.handleEnd();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should mirror horizontal directions in RTL', () => {
+			const refreshHandler = vi.fn();
+			const wrapper = document.createElement('div');
+			wrapper.setAttribute('dir', 'rtl');
+			document.body.appendChild(wrapper);
+			wrapper.appendChild(element);
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.direction = 'right';
+
+			const indicator = element.shadowRoot.querySelector(
+				'.ptr-indicator:not(.ptr-load-more-indicator)',
+			);
+			expect(indicator.dataset.edge).toBe('right');
+
+			pull(-100, 0);
+			element.handleEnd();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should only start a horizontal pull at the scroller edge', () => {
+			const container =
+				element.shadowRoot.querySelector('.ptr-container');
+			element.direction = 'right';
+			container.scrollLeft = 40;
+
+			pull(100, 0);
+
+			expect(element.isPulling).toBe(false);
+		});
+	});
+
+	describe('Resistance', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+		};
+
+		const lastMoveDetail = (handler) =>
+			handler.mock.calls[handler.mock.calls.length - 1][0].detail;
+
+		it('should track the pointer 1:1 up to the threshold', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+
+			pullDown(60);
+
+			expect(lastMoveDetail(moveHandler).resistedDistance).toBe(60);
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.style.transform).toBe('translateY(10px)');
+		});
+
+		it('should resist the pull past the threshold', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+
+			pullDown(300);
+
+			const { distance, resistedDistance } = lastMoveDetail(moveHandler);
+			expect(distance).toBe(300);
+			expect(resistedDistance).toBeGreaterThan(element.threshold);
+			expect(resistedDistance).toBeLessThan(element.threshold * 2);
+		});
+
+		it('should map the pull linearly when resistance is 0', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.resistance = 0;
+
+			pullDown(300);
+
+			expect(lastMoveDetail(moveHandler).resistedDistance).toBe(300);
+		});
+
+		it('should never exceed max-distance', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.resistance = 0;
+			element.maxDistance = 120;
+
+			pullDown(300);
+
+			expect(lastMoveDetail(moveHandler).resistedDistance).toBe(120);
+		});
+
+		it('should use a custom resistanceFunction', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.resistanceFunction = vi.fn((distance) => distance / 2);
+
+			pullDown(100);
+
+			expect(element.resistanceFunction).toHaveBeenCalledWith(100, {
+				threshold: 80,
+				maxDistance: 0,
+				resistance: 0.5,
+			});
+			expect(lastMoveDetail(moveHandler).resistedDistance).toBe(50);
+		});
+
+		it('should still arm based on the raw distance', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.resistanceFunction = (distance) => distance / 4;
+
+			pullDown(100);
+			element.handleEnd();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should sanitize resistance and max-distance values', () => {
+			expect(element.resistance).toBe(0.5);
+			element.setAttribute('resistance', '1.5');
+			expect(element.hasAttribute('resistance')).toBe(false);
+			element.resistance = 0.25;
+			expect(element.getAttribute('resistance')).toBe('0.25');
+
+			expect(element.maxDistance).toBe(0);
+			element.setAttribute('max-distance', '-20');
+			expect(element.hasAttribute('max-distance')).toBe(false);
+		});
+
+		it('should ignore non-function resistanceFunction values', () => {
+			element.resistanceFunction = 42;
+			expect(element.resistanceFunction).toBe(null);
+		});
+	});
+
+	describe('Push Mode', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+		};
+
+		const getContent = () =>
+			element.shadowRoot.querySelector('.ptr-content');
+
+		it('should default to overlay mode', () => {
+			expect(element.mode).toBe('overlay');
+			element.setAttribute('mode', 'bogus');
+			expect(element.mode).toBe('overlay');
+		});
+
+		it('should leave the content in place in overlay mode', () => {
+			pullDown(60);
+			expect(getContent().style.transform).toBe('');
+		});
+
+		it('should move the content with the indicator in push mode', () => {
+			element.mode = 'push';
+			pullDown(60);
+
+			expect(getContent().style.transform).toBe('translateY(60px)');
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.style.transform).toBe('translateY(10px)');
+		});
+
+		it('should hold the content below the indicator while refreshing', () => {
+			element.mode = 'push';
+			pullDown(100);
+			element.handleEnd();
+
+			expect(element.isRefreshing).toBe(true);
+			expect(getContent().style.transform).toBe('translateY(50px)');
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.style.transform).toBe('translateY(0px)');
+		});
+
+		it('should move the content back when the refresh completes', () => {
+			element.mode = 'push';
+			element.triggerRefresh();
+			expect(getContent().style.transform).toBe('translateY(50px)');
+
+			element.completeRefresh();
+			expect(getContent().style.transform).toBe('');
+		});
+
+		it('should move the content back after a short pull', () => {
+			element.mode = 'push';
+			pullDown(40);
+			element.handleEnd();
+
+			expect(getContent().style.transform).toBe('');
+		});
+
+		it('should push the content up while loading more', () => {
+			element.mode = 'push';
+			element.directions = 'top bottom';
+			element.triggerLoadMore();
+
+			expect(getContent().style.transform).toBe('translateY(-50px)');
+
+			element.completeLoadMore();
+			expect(getContent().style.transform).toBe('');
+		});
+
+		it('should release the content when switching back to overlay', () => {
+			element.mode = 'push';
+			element.triggerRefresh();
+			element.mode = 'overlay';
+
+			expect(getContent().style.transform).toBe('');
+		});
+	});
+
+	describe('Indicator Size', () => {
+		let resizeCallback;
+
+		beforeEach(() => {
+			resizeCallback = null;
+			vi.stubGlobal(
+				'ResizeObserver',
+				class {
+					constructor(callback) {
+						resizeCallback = callback;
+					}
+
+					observe() {}
+
+					disconnect() {}
+				},
+			);
+			element.remove();
+			element = document.createElement('pull-to-refresh');
+			document.body.appendChild(element);
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		const resizeIndicator = (size) => {
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			Object.defineProperty(indicator, 'offsetHeight', {
+				configurable: true,
+				value: size,
+			});
+			Object.defineProperty(indicator, 'offsetWidth', {
+				configurable: true,
+				value: size,
+			});
+			resizeCallback([]);
+			return indicator;
+		};
+
+		it('should fall back to 50px before the indicator is measured', () => {
+			expect(element.indicatorHeight).toBe(50);
+		});
+
+		it('should use the measured indicator height', () => {
+			const indicator = resizeIndicator(72);
+
+			expect(element.indicatorHeight).toBe(72);
+			expect(indicator.style.transform).toBe('translateY(-72px)');
+		});
+
+		it('should offset the pull by the measured height', () => {
+			const indicator = resizeIndicator(72);
+
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 60 }),
+			);
+
+			expect(indicator.style.transform).toBe('translateY(-12px)');
+		});
+
+		it('should measure the width for horizontal pulls', () => {
+			element.direction = 'right';
+			const indicator = resizeIndicator(64);
+
+			expect(element.indicatorHeight).toBe(64);
+			expect(indicator.style.transform).toBe('translateX(-64px)');
+		});
+
+		it('should keep a refreshing indicator in place when resized', () => {
+			element.mode = 'push';
+			element.triggerRefresh();
+			const indicator = resizeIndicator(72);
+
+			expect(indicator.style.transform).toBe('translateY(0px)');
+			expect(
+				element.shadowRoot.querySelector('.ptr-content').style
+					.transform,
+			).toBe('translateY(72px)');
+		});
+
+		it('should stop observing when disconnected', () => {
+			const disconnect = vi.spyOn(ResizeObserver.prototype, 'disconnect');
+			element.remove();
+			expect(disconnect).toHaveBeenCalled();
+		});
+	});
+
+	describe('Styling Hooks', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+		};
+
+		it('should expose parts for the indicator, container and content', () => {
+			const { shadowRoot } = element;
+			expect(
+				shadowRoot.querySelector('.ptr-indicator').getAttribute('part'),
+			).toBe('indicator');
+			expect(
+				shadowRoot
+					.querySelector('.ptr-indicator-text')
+					.getAttribute('part'),
+			).toBe('indicator-text');
+			expect(
+				shadowRoot.querySelector('.ptr-container').getAttribute('part'),
+			).toBe('container');
+			expect(
+				shadowRoot.querySelector('.ptr-content').getAttribute('part'),
+			).toBe('content');
+			expect(
+				shadowRoot
+					.querySelector('.ptr-load-more-indicator')
+					.getAttribute('part'),
+			).toBe('indicator load-more-indicator');
+		});
+
+		it('should publish pull progress and distance on the host', () => {
+			pullDown(40);
+
+			expect(element.style.getPropertyValue('--ptr-progress')).toBe(
+				'0.5',
+			);
+			expect(element.style.getPropertyValue('--ptr-distance')).toBe(
+				'40px',
+			);
+		});
+
+		it('should let progress exceed 1 past the threshold', () => {
+			element.resistance = 0;
+			pullDown(120);
+
+			expect(element.style.getPropertyValue('--ptr-progress')).toBe(
+				'1.5',
+			);
+			expect(element.style.getPropertyValue('--ptr-distance')).toBe(
+				'120px',
+			);
+		});
+
+		it('should clear the pull properties when the pull ends', () => {
+			pullDown(40);
+			element.handleEnd();
+
+			expect(element.style.getPropertyValue('--ptr-progress')).toBe('');
+			expect(element.style.getPropertyValue('--ptr-distance')).toBe('');
+		});
+
+		it('should mirror the active and error states as parts', () => {
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+
+			element.triggerRefresh();
+			expect(indicator.getAttribute('part')).toBe('indicator active');
+
+			element.failRefresh(new Error('Network error'));
+			expect(indicator.getAttribute('part')).toBe('indicator error');
+
+			element.resetIndicator();
+			expect(indicator.getAttribute('part')).toBe('indicator');
+		});
+	});
+
+	describe('State Machine', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+		};
+
+		const transitions = (handler) =>
+			handler.mock.calls.map(([event]) => event.detail);
+
+		it('should start idle and reflect the state attribute', () => {
+			expect(element.state).toBe('idle');
+			expect(element.getAttribute('state')).toBe('idle');
+		});
+
+		it('should not allow setting the state property', () => {
+			expect(() => {
+				element.state = 'refreshing';
+			}).toThrow();
+			expect(element.state).toBe('idle');
+		});
+
+		it('should move through pulling, armed and refreshing', () => {
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+
+			pullDown(40);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 100 }),
+			);
+			element.handleEnd();
+
+			expect(transitions(stateHandler)).toEqual([
+				{ from: 'idle', to: 'pulling', reason: 'pull-start' },
+				{ from: 'pulling', to: 'armed', reason: 'threshold' },
+				{ from: 'armed', to: 'refreshing', reason: 'release' },
+			]);
+			expect(element.getAttribute('state')).toBe('refreshing');
+		});
+
+		it('should return to idle after a short pull', () => {
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+
+			pullDown(40);
+			element.handleEnd();
+
+			expect(transitions(stateHandler).pop()).toEqual({
+				from: 'pulling',
+				to: 'idle',
+				reason: 'pull-end',
+			});
+		});
+
+		it('should pass through completing on its way back to idle', () => {
+			vi.useFakeTimers();
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+
+			element.triggerRefresh();
+			element.completeRefresh();
+			expect(element.state).toBe('completing');
+
+			vi.runAllTimers();
+			expect(element.state).toBe('idle');
+			expect(transitions(stateHandler)).toEqual([
+				{ from: 'idle', to: 'refreshing', reason: 'trigger' },
+				{ from: 'refreshing', to: 'completing', reason: 'complete' },
+				{ from: 'completing', to: 'idle', reason: 'completed' },
+			]);
+			vi.useRealTimers();
+		});
+
+		it('should enter the error state when a refresh fails', () => {
+			vi.useFakeTimers();
+			element.triggerRefresh();
+			element.failRefresh(new Error('Network error'));
+			expect(element.state).toBe('error');
+
+			vi.advanceTimersByTime(element.errorDuration);
+			expect(element.state).toBe('idle');
+			vi.useRealTimers();
+		});
+
+		it('should return to idle when a refresh is canceled', () => {
+			element.triggerRefresh();
+			element.cancelRefresh();
+			expect(element.state).toBe('idle');
+		});
+
+		it('should track the disabled state', () => {
+			element.disabled = true;
+			expect(element.state).toBe('disabled');
+
+			element.disabled = false;
+			expect(element.state).toBe('idle');
+		});
+
+		it('should ignore invalid transitions', () => {
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+
+			element.completeRefresh();
+
+			expect(element.state).toBe('idle');
+			expect(stateHandler).not.toHaveBeenCalled();
+		});
+
+		it('should leave the state alone for load-more pulls', () => {
+			const stateHandler = vi.fn();
+			element.addEventListener('ptr:state-change', stateHandler);
+			element.directions = 'bottom';
+
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 100 }),
+			);
+			element.handleMove(new PointerEvent('pointermove', { clientY: 0 }));
+			element.handleEnd();
+
+			expect(element.isLoadingMore).toBe(true);
+			expect(stateHandler).not.toHaveBeenCalled();
+		});
+
+		it('should mirror the state as a custom state', () => {
+			const states = new Set();
+			const attachInternals = vi.fn(() => ({ states }));
+			PullToRefreshElement.prototype.attachInternals = attachInternals;
+			try {
+				element.remove();
+				element = document.createElement('pull-to-refresh');
+				document.body.appendChild(element);
+				expect(states.has('idle')).toBe(true);
+
+				element.triggerRefresh();
+				expect(states.has('idle')).toBe(false);
+				expect(states.has('refreshing')).toBe(true);
+			} finally {
+				delete PullToRefreshElement.prototype.attachInternals;
+			}
+		});
+	});
+
+	describe('Indicator Style', () => {
+		const getGraphic = () =>
+			element.shadowRoot.querySelector(
+				'.ptr-indicator:not(.ptr-load-more-indicator) .ptr-indicator-graphic',
+			);
+
+		it('should default to the text style without a graphic', () => {
+			expect(element.indicatorStyle).toBe('text');
+			expect(getGraphic().innerHTML).toBe('');
+		});
+
+		it.each(['spinner', 'arc', 'material', 'ios'])(
+			'should render the %s graphic',
+			(style) => {
+				element.indicatorStyle = style;
+
+				expect(
+					getGraphic().querySelector(`svg.ptr-${style}`),
+				).toBeTruthy();
+				expect(
+					element.shadowRoot.querySelector(
+						'.ptr-load-more-indicator .ptr-indicator-graphic svg',
+					),
+				).toBeTruthy();
+			},
+		);
+
+		it('should fall back to text for unknown styles', () => {
+			element.setAttribute('indicator-style', 'bogus');
+			expect(element.indicatorStyle).toBe('text');
+			expect(getGraphic().innerHTML).toBe('');
+		});
+
+		it('should keep the text available to assistive technology', () => {
+			element.indicatorStyle = 'spinner';
+
+			expect(getGraphic().getAttribute('aria-hidden')).toBe('true');
+			expect(
+				element.shadowRoot.querySelector('.ptr-indicator-text')
+					.textContent,
+			).toBe('↓ Pull to refresh');
+		});
+
+		it('should mark the indicator busy while refreshing', () => {
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+
+			element.triggerRefresh();
+			expect(indicator.classList.contains('busy')).toBe(true);
+
+			element.completeRefresh();
+			expect(indicator.classList.contains('busy')).toBe(false);
+		});
+
+		it('should mark the load-more indicator busy while loading', () => {
+			const indicator = element.shadowRoot.querySelector(
+				'.ptr-load-more-indicator',
+			);
+
+			element.triggerLoadMore();
+			expect(indicator.classList.contains('busy')).toBe(true);
+
+			element.cancelLoadMore();
+			expect(indicator.classList.contains('busy')).toBe(false);
+		});
+	});
+
+	describe('Keyboard & Button Refresh', () => {
+		const getButton = () =>
+			element.shadowRoot.querySelector('.ptr-refresh-button');
+
+		const pressKey = (target, init) => {
+			const event = new KeyboardEvent('keydown', {
+				bubbles: true,
+				composed: true,
+				cancelable: true,
+				...init,
+			});
+			target.dispatchEvent(event);
+			return event;
+		};
+
+		it('should hide the refresh button by default', () => {
+			expect(element.refreshButton).toBe(null);
+			expect(getButton().hidden).toBe(true);
+		});
+
+		it('should show the refresh button when requested', () => {
+			element.setAttribute('refresh-button', '');
+			expect(element.refreshButton).toBe('hidden');
+			expect(getButton().hidden).toBe(false);
+
+			element.refreshButton = 'visible';
+			expect(element.refreshButton).toBe('visible');
+		});
+
+		it('should label the button from translations', () => {
+			expect(getButton().textContent).toBe('Refresh');
+
+			element.setAttribute('lang', 'de');
+			expect(getButton().textContent).toBe('Aktualisieren');
+
+			element.refreshButtonText = 'Reload feed';
+			expect(getButton().textContent).toBe('Reload feed');
+		});
+
+		it('should refresh from the button with the button source', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.refreshButton = true;
+
+			getButton().click();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe(
+				'button',
+			);
+		});
+
+		it('should disable the button with the component', () => {
+			element.disabled = true;
+			expect(getButton().disabled).toBe(true);
+
+			element.disabled = false;
+			expect(getButton().disabled).toBe(false);
+		});
+
+		it('should refresh on the keyboard shortcut', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.keyboardShortcut = 'r';
+
+			const event = pressKey(element, { key: 'r' });
+
+			expect(event.defaultPrevented).toBe(true);
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe(
+				'keyboard',
+			);
+		});
+
+		it('should ignore keys without a keyboard-shortcut', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+
+			pressKey(element, { key: 'r' });
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+
+		it('should match modifiers exactly', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.keyboardShortcut = 'Ctrl+R';
+
+			pressKey(element, { key: 'r' });
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			const event = pressKey(element, { key: 'r', ctrlKey: true });
+			expect(event.defaultPrevented).toBe(true);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should intercept function keys such as F5', () => {
+			element.keyboardShortcut = 'F5';
+
+			const event = pressKey(element, { key: 'F5' });
+
+			expect(event.defaultPrevented).toBe(true);
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it('should let single-key shortcuts type into form fields', () => {
+			const input = document.createElement('input');
+			element.appendChild(input);
+			element.keyboardShortcut = 'r';
+
+			const event = pressKey(input, { key: 'r' });
+
+			expect(event.defaultPrevented).toBe(false);
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should report the trigger source', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+
+			element.triggerRefresh();
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe('api');
+			element.completeRefresh();
+
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 100 }),
+			);
+			element.handleEnd();
+			expect(refreshHandler.mock.calls[1][0].detail.source).toBe('pull');
+		});
+	});
+
+	describe('Wheel Pulls', () => {
+		const wheel = (deltaY, init = {}) => {
+			const event = new WheelEvent('wheel', {
+				deltaY,
+				cancelable: true,
+				bubbles: true,
+				...init,
+			});
+			element.dispatchEvent(event);
+			return event;
+		};
+
+		beforeEach(() => {
+			vi.useFakeTimers();
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it('should ignore the wheel unless enabled', () => {
+			const pullStartHandler = vi.fn();
+			element.addEventListener('ptr:pull-start', pullStartHandler);
+
+			wheel(-40);
+
+			expect(element.wheel).toBe(false);
+			expect(pullStartHandler).not.toHaveBeenCalled();
+		});
+
+		it('should end a wheel pull when the wheel is turned off', () => {
+			const pullEndHandler = vi.fn();
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:pull-end', pullEndHandler);
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.disableSelection = true;
+			element.wheel = true;
+
+			wheel(-60);
+			wheel(-60);
+			expect(element.state).toBe('armed');
+
+			element.wheel = false;
+
+			expect(pullEndHandler).toHaveBeenCalledTimes(1);
+			expect(element.isPulling).toBe(false);
+			expect(element.state).toBe('idle');
+			expect(element.hasAttribute('pulling')).toBe(false);
+			expect(element.style.getPropertyValue('--ptr-progress')).toBe('');
+			expect(
+				element.shadowRoot
+					.querySelector('.ptr-indicator')
+					.classList.contains('active'),
+			).toBe(false);
+
+			vi.advanceTimersByTime(1000);
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+
+		it('should build up pull distance from upward scrolling', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.wheel = true;
+
+			wheel(-20);
+			const event = wheel(-20);
+
+			expect(event.defaultPrevented).toBe(true);
+			expect(moveHandler.mock.calls.at(-1)[0].detail.distance).toBe(40);
+		});
+
+		it('should refresh when released past the threshold', () => {
+			const refreshHandler = vi.fn();
+			const pullEndHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.addEventListener('ptr:pull-end', pullEndHandler);
+			element.wheel = true;
+
+			wheel(-60);
+			wheel(-60);
+			expect(element.state).toBe('armed');
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			vi.advanceTimersByTime(200);
+
+			expect(pullEndHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe('pull');
+		});
+
+		it('should not refresh when released short of the threshold', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.wheel = true;
+
+			wheel(-30);
+			vi.advanceTimersByTime(200);
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+			expect(element.state).toBe('idle');
+		});
+
+		it('should let downward scrolling through', () => {
+			element.wheel = true;
+
+			const event = wheel(40);
+
+			expect(event.defaultPrevented).toBe(false);
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should convert line deltas to pixels', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.wheel = true;
+
+			wheel(-3, { deltaMode: WheelEvent.DOM_DELTA_LINE });
+
+			expect(moveHandler.mock.calls[0][0].detail.distance).toBe(48);
+		});
+
+		it('should stop listening when the attribute is removed', () => {
+			const pullStartHandler = vi.fn();
+			element.addEventListener('ptr:pull-start', pullStartHandler);
+			element.wheel = true;
+			element.wheel = false;
+
+			wheel(-40);
+
+			expect(pullStartHandler).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Pointer Tracking', () => {
+		const pointer = (type, init) =>
+			new PointerEvent(type, { pointerId: 1, isPrimary: true, ...init });
+
+		it('should abort the pull when a second pointer comes down', () => {
+			const refreshHandler = vi.fn();
+			const pullEndHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.addEventListener('ptr:pull-end', pullEndHandler);
+
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			element.handleMove(pointer('pointermove', { clientY: 100 }));
+			element.handleStart(
+				pointer('pointerdown', {
+					pointerId: 2,
+					isPrimary: false,
+					clientY: 50,
+				}),
+			);
+			element.handleEnd(pointer('pointerup', { clientY: 100 }));
+
+			expect(element.isPulling).toBe(false);
+			expect(pullEndHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler).not.toHaveBeenCalled();
+			expect(element.state).toBe('idle');
+		});
+
+		it('should ignore moves and releases from other pointers', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			element.handleMove(pointer('pointermove', { clientY: 40 }));
+			element.handleMove(
+				pointer('pointermove', { pointerId: 2, clientY: 200 }),
+			);
+			element.handleEnd(pointer('pointerup', { pointerId: 2 }));
+
+			expect(moveHandler).toHaveBeenCalledTimes(1);
+			expect(element.isPulling).toBe(true);
+		});
+
+		it('should ignore non-primary mouse buttons', () => {
+			element.handleStart(
+				pointer('pointerdown', {
+					pointerType: 'mouse',
+					button: 2,
+					clientY: 0,
+				}),
+			);
+
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should capture the pointer once the pull is confirmed', () => {
+			element.setPointerCapture = vi.fn();
+			element.hasPointerCapture = vi.fn(() => true);
+			element.releasePointerCapture = vi.fn();
+
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			expect(element.setPointerCapture).not.toHaveBeenCalled();
+
+			element.handleMove(pointer('pointermove', { clientY: 40 }));
+			expect(element.setPointerCapture).toHaveBeenCalledWith(1);
+
+			element.handleEnd(pointer('pointerup', { clientY: 40 }));
+			expect(element.releasePointerCapture).toHaveBeenCalledWith(1);
+		});
+
+		it('should render coalesced moves once with the latest position', () => {
+			const moveHandler = vi.fn();
+			element.addEventListener('ptr:pull-move', moveHandler);
+
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			const move = pointer('pointermove', { clientY: 30 });
+			move.getCoalescedEvents = () => [
+				pointer('pointermove', { clientY: 10 }),
+				pointer('pointermove', { clientY: 20 }),
+				pointer('pointermove', { clientY: 30 }),
+			];
+			element.handleMove(move);
+
+			expect(
+				moveHandler.mock.calls.map(([event]) => event.detail.distance),
+			).toEqual([30]);
+		});
+
+		it('should judge the direction from the earliest coalesced move', () => {
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			// Pulling down first, then drifting sideways within the frame
+			const move = pointer('pointermove', { clientX: 40, clientY: 30 });
+			move.getCoalescedEvents = () => [
+				pointer('pointermove', { clientX: 0, clientY: 10 }),
+				pointer('pointermove', { clientX: 40, clientY: 30 }),
+			];
+			element.handleMove(move);
+
+			expect(element.isPullingConfirmed).toBe(true);
+			expect(element.state).toBe('pulling');
+		});
+
+		it('should start over when the previous release was missed', () => {
+			element.handleStart(pointer('pointerdown', { clientY: 0 }));
+			element.handleMove(pointer('pointermove', { clientY: 40 }));
+
+			element.handleStart(pointer('pointerdown', { clientY: 10 }));
+
+			expect(element.isPulling).toBe(true);
+			expect(element.isPullingConfirmed).toBe(false);
+			expect(element.startY).toBe(10);
+		});
+	});
+
+	describe('Vetoing Refreshes', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+		};
+
+		it('should abort the gesture when ptr:pull-start is canceled', () => {
+			const moveHandler = vi.fn();
+			const pullEndHandler = vi.fn();
+			element.addEventListener('ptr:pull-start', (e) =>
+				e.preventDefault(),
+			);
+			element.addEventListener('ptr:pull-move', moveHandler);
+			element.addEventListener('ptr:pull-end', pullEndHandler);
+
+			pullDown(100);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 150 }),
+			);
+			element.handleEnd();
+
+			expect(element.isPulling).toBe(false);
+			expect(moveHandler).not.toHaveBeenCalled();
+			expect(pullEndHandler).toHaveBeenCalledTimes(1);
+			expect(element.isRefreshing).toBe(false);
+			expect(element.state).toBe('idle');
+		});
+
+		it('should abort the refresh when ptr:refresh is canceled', async () => {
+			const completeHandler = vi.fn();
+			let signal;
+			element.addEventListener('ptr:refresh', (e) => {
+				({ signal } = e.detail);
+				e.preventDefault();
+			});
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+
+			await element.triggerRefresh();
+
+			expect(element.isRefreshing).toBe(false);
+			expect(element.state).toBe('idle');
+			expect(signal.aborted).toBe(true);
+			expect(completeHandler).not.toHaveBeenCalled();
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			expect(indicator.classList.contains('active')).toBe(false);
+		});
+
+		it('should leave the state alone when ptr:refresh is canceled', () => {
+			const stateHandler = vi.fn();
+			const onrefresh = vi.fn();
+			element.onrefresh = onrefresh;
+			element.addEventListener('ptr:state-change', stateHandler);
+			element.addEventListener('ptr:refresh', (e) => {
+				expect(element.state).toBe('idle');
+				e.preventDefault();
+			});
+
+			element.triggerRefresh();
+
+			expect(onrefresh).not.toHaveBeenCalled();
+			expect(stateHandler).not.toHaveBeenCalled();
+			expect(
+				element.shadowRoot
+					.querySelector('.ptr-indicator')
+					.classList.contains('busy'),
+			).toBe(false);
+		});
+
+		it('should retract a released pull when ptr:refresh is canceled', () => {
+			element.addEventListener('ptr:refresh', (e) => e.preventDefault());
+
+			pullDown(100);
+			expect(element.state).toBe('armed');
+			element.handleEnd();
+
+			expect(element.state).toBe('idle');
+			expect(
+				element.shadowRoot
+					.querySelector('.ptr-indicator')
+					.classList.contains('active'),
+			).toBe(false);
+		});
+
+		it('should pass through refreshing when completed during dispatch', async () => {
+			const states = [];
+			element.addEventListener('ptr:state-change', (e) =>
+				states.push(e.detail.to),
+			);
+			element.addEventListener('ptr:refresh', (e) => e.detail.complete());
+
+			await element.triggerRefresh();
+
+			expect(states.slice(0, 2)).toEqual(['refreshing', 'completing']);
+		});
+
+		it('should let onrefresh cancel the refresh', () => {
+			element.onrefresh = (e) => e.preventDefault();
+
+			element.triggerRefresh();
+
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should not arm when canRefresh returns false', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.canRefresh = vi.fn(() => false);
+
+			pullDown(100);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 120 }),
+			);
+
+			expect(element.state).toBe('pulling');
+			expect(
+				element.shadowRoot.querySelector('.ptr-indicator-text')
+					.textContent,
+			).toBe('↓ Pull to refresh');
+			expect(element.canRefresh).toHaveBeenCalledTimes(1);
+			expect(element.canRefresh).toHaveBeenCalledWith({ source: 'pull' });
+
+			element.handleEnd();
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+
+		it('should ask canRefresh again for the next gesture', () => {
+			let allowed = false;
+			element.canRefresh = () => allowed;
+
+			pullDown(100);
+			element.handleEnd();
+			expect(element.isRefreshing).toBe(false);
+
+			allowed = true;
+			pullDown(100);
+			element.handleEnd();
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it('should consult canRefresh for other triggers', async () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.canRefresh = vi.fn(() => false);
+
+			await element.triggerRefresh({ source: 'button' });
+
+			expect(element.canRefresh).toHaveBeenCalledWith({
+				source: 'button',
+			});
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+
+		it('should ignore non-function canRefresh values', () => {
+			element.canRefresh = 'nope';
+			expect(element.canRefresh).toBe(null);
+		});
+	});
+
+	describe('Nested Scrollers & Ignored Regions', () => {
+		const pressOn = (target) =>
+			target.dispatchEvent(
+				new PointerEvent('pointerdown', {
+					bubbles: true,
+					composed: true,
+					clientY: 0,
+				}),
+			);
+
+		const createScroller = (scrollTop) => {
+			const scroller = document.createElement('div');
+			scroller.style.overflowY = 'auto';
+			Object.defineProperties(scroller, {
+				scrollHeight: { configurable: true, value: 500 },
+				clientHeight: { configurable: true, value: 100 },
+				scrollTop: { configurable: true, value: scrollTop },
+			});
+			const item = document.createElement('p');
+			scroller.appendChild(item);
+			element.appendChild(scroller);
+			return item;
+		};
+
+		it('should pull from content that is not in a nested scroller', () => {
+			const item = document.createElement('p');
+			element.appendChild(item);
+
+			pressOn(item);
+
+			expect(element.isPulling).toBe(true);
+		});
+
+		it('should ignore pulls inside a scrolled nested scroller', () => {
+			pressOn(createScroller(120));
+
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should pull once the nested scroller is at its top', () => {
+			pressOn(createScroller(0));
+
+			expect(element.isPulling).toBe(true);
+		});
+
+		it('should ignore pulls inside [data-ptr-ignore]', () => {
+			const map = document.createElement('div');
+			map.setAttribute('data-ptr-ignore', '');
+			const tile = document.createElement('span');
+			map.appendChild(tile);
+			element.appendChild(map);
+
+			pressOn(tile);
+
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should ignore pulls inside elements matching ignoreSelector', () => {
+			const carousel = document.createElement('div');
+			carousel.className = 'carousel';
+			const slide = document.createElement('div');
+			carousel.appendChild(slide);
+			element.appendChild(carousel);
+			element.ignoreSelector = '.carousel';
+
+			pressOn(slide);
+
+			expect(element.getAttribute('ignore-selector')).toBe('.carousel');
+			expect(element.isPulling).toBe(false);
+		});
+
+		it('should tolerate an invalid ignoreSelector', () => {
+			const item = document.createElement('p');
+			element.appendChild(item);
+			element.ignoreSelector = '[[nope';
+
+			pressOn(item);
+
+			expect(element.isPulling).toBe(true);
+		});
+	});
+
+	describe('Declarative Source', () => {
+		let fetchMock;
+
+		beforeEach(() => {
+			fetchMock = vi.fn();
+			vi.stubGlobal('fetch', fetchMock);
+			element.innerHTML =
+				'<div slot="indicator">Custom</div><p>Old content</p>';
+			element.src = '/feed.html';
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		const respondWith = (body, init) => {
+			fetchMock.mockResolvedValue(new Response(body, init));
+		};
+
+		const settle = () =>
+			new Promise((resolve) => {
+				element.addEventListener('ptr:refresh-complete', resolve, {
+					once: true,
+				});
+				element.addEventListener('ptr:refresh-error', resolve, {
+					once: true,
+				});
+			});
+
+		it('should reflect src and select', () => {
+			element.select = '#feed';
+			expect(element.getAttribute('src')).toBe('/feed.html');
+			expect(element.getAttribute('select')).toBe('#feed');
+
+			element.src = null;
+			element.select = '';
+			expect(element.hasAttribute('src')).toBe(false);
+			expect(element.hasAttribute('select')).toBe(false);
+		});
+
+		it('should replace the content with the fetched HTML', async () => {
+			respondWith('<p>New content</p><p>More</p>', { status: 200 });
+			const settled = settle();
+
+			element.triggerRefresh();
+			await settled;
+
+			expect(fetchMock).toHaveBeenCalledWith(
+				'/feed.html',
+				expect.objectContaining({ signal: expect.any(AbortSignal) }),
+			);
+			expect(element.innerHTML).toBe(
+				'<div slot="indicator">Custom</div><p>New content</p><p>More</p>',
+			);
+			expect(element.isRefreshing).toBe(false);
+		});
+
+		it('should only swap in the region matching select', async () => {
+			element.select = '#feed';
+			respondWith(
+				'<header>Site</header><ul id="feed"><li>Item</li></ul>',
+				{ status: 200 },
+			);
+			const settled = settle();
+
+			element.triggerRefresh();
+			await settled;
+
+			expect(element.querySelector('header')).toBeNull();
+			expect(element.querySelector('#feed li').textContent).toBe('Item');
+			expect(element.querySelector('[slot="indicator"]')).not.toBeNull();
+		});
+
+		it('should fail when no region matches select', async () => {
+			element.select = '#missing';
+			respondWith('<p>New content</p>', { status: 200 });
+			const errorHandler = vi.fn();
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			const settled = settle();
+
+			element.triggerRefresh();
+			await settled;
+
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+			expect(element.querySelector('p').textContent).toBe('Old content');
+		});
+
+		it('should fail and keep the content on an error status', async () => {
+			respondWith('Not found', { status: 404 });
+			const errorHandler = vi.fn();
+			element.addEventListener('ptr:refresh-error', errorHandler);
+			const settled = settle();
+
+			element.triggerRefresh();
+			await settled;
+
+			expect(
+				errorHandler.mock.calls[0][0].detail.error.message,
+			).toContain('404');
+			expect(element.querySelector('p').textContent).toBe('Old content');
+			expect(element.state).toBe('error');
+		});
+
+		it('should not fetch when a handler extends the refresh', () => {
+			element.addEventListener('ptr:refresh', (e) => {
+				e.detail.waitUntil(new Promise(() => {}));
+			});
+
+			element.triggerRefresh();
+
+			expect(fetchMock).not.toHaveBeenCalled();
+		});
+
+		it('should not fetch when onrefresh returns a promise', () => {
+			element.onrefresh = () => new Promise(() => {});
+
+			element.triggerRefresh();
+
+			expect(fetchMock).not.toHaveBeenCalled();
+		});
+
+		it('should not fetch when a listener completes right away', () => {
+			element.addEventListener('ptr:refresh', (e) => e.detail.complete());
+
+			element.triggerRefresh();
+
+			expect(fetchMock).not.toHaveBeenCalled();
+		});
+
+		it('should not fetch when a document listener extends the refresh', () => {
+			const listener = (e) => e.detail.waitUntil(new Promise(() => {}));
+			document.addEventListener('ptr:refresh', listener);
+
+			element.triggerRefresh();
+			document.removeEventListener('ptr:refresh', listener);
+
+			expect(fetchMock).not.toHaveBeenCalled();
+			expect(element.isRefreshing).toBe(true);
+		});
+
+		it('should fetch when listeners leave the refresh alone', async () => {
+			respondWith('<p>New content</p>', { status: 200 });
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.onrefresh = () => {};
+			const settled = settle();
+
+			element.triggerRefresh();
+			await settled;
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(fetchMock).toHaveBeenCalledTimes(1);
+			expect(element.querySelector('p').textContent).toBe('New content');
+		});
+
+		it('should not fetch when the refresh is canceled', () => {
+			element.addEventListener('ptr:refresh', (e) => e.preventDefault());
+
+			element.triggerRefresh();
+
+			expect(fetchMock).not.toHaveBeenCalled();
+		});
+
+		it('should abort the fetch and keep the content when canceled', async () => {
+			let resolveFetch;
+			fetchMock.mockImplementation(
+				() =>
+					new Promise((resolve) => {
+						resolveFetch = resolve;
+					}),
+			);
+
+			element.triggerRefresh();
+			const { signal } = fetchMock.mock.calls[0][1];
+			element.cancelRefresh();
+			expect(signal.aborted).toBe(true);
+
+			resolveFetch(new Response('<p>New content</p>', { status: 200 }));
+			await new Promise((resolve) => setTimeout(resolve, 0));
+
+			expect(element.querySelector('p').textContent).toBe('Old content');
+		});
+	});
+
+	describe('Auto Refresh', () => {
+		let hidden;
+
+		beforeEach(() => {
+			vi.useFakeTimers();
+			hidden = false;
+			Object.defineProperty(document, 'hidden', {
+				configurable: true,
+				get: () => hidden,
+			});
+		});
+
+		afterEach(() => {
+			delete document.hidden;
+			vi.useRealTimers();
+		});
+
+		const setHidden = (value) => {
+			hidden = value;
+			document.dispatchEvent(new Event('visibilitychange'));
+		};
+
+		it('should parse durations with units', () => {
+			element.setAttribute('auto-refresh', '60s');
+			expect(element.autoRefresh).toBe(60000);
+			element.setAttribute('auto-refresh', '5m');
+			expect(element.autoRefresh).toBe(300000);
+			element.setAttribute('auto-refresh', '90000');
+			expect(element.autoRefresh).toBe(90000);
+			element.setAttribute('auto-refresh', '1500ms');
+			expect(element.autoRefresh).toBe(1500);
+			element.setAttribute('auto-refresh', 'often');
+			expect(element.autoRefresh).toBe(0);
+
+			element.autoRefresh = 2000;
+			expect(element.getAttribute('auto-refresh')).toBe('2000');
+			expect(element.autoRefresh).toBe(2000);
+			element.autoRefresh = '2s';
+			expect(element.autoRefresh).toBe(2000);
+			element.autoRefresh = 0;
+			expect(element.hasAttribute('auto-refresh')).toBe(false);
+		});
+
+		it('should never poll more often than once a second', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '60ms');
+
+			expect(element.autoRefresh).toBe(1000);
+			vi.advanceTimersByTime(999);
+			expect(refreshHandler).not.toHaveBeenCalled();
+			vi.advanceTimersByTime(1);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should refresh on the interval with the auto source', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '60s');
+
+			vi.advanceTimersByTime(59999);
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			vi.advanceTimersByTime(1);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe('auto');
+
+			vi.advanceTimersByTime(60000);
+			expect(refreshHandler).toHaveBeenCalledTimes(2);
+		});
+
+		it('should skip ticks while a refresh is running', () => {
+			const refreshHandler = vi.fn((e) =>
+				e.detail.waitUntil(new Promise(() => {})),
+			);
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '1s');
+
+			element.triggerRefresh();
+			vi.advanceTimersByTime(3000);
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should restart the interval after a manual refresh', () => {
+			const refreshHandler = vi.fn();
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '10s');
+
+			vi.advanceTimersByTime(8000);
+			element.triggerRefresh({ source: 'button' });
+			element.completeRefresh();
+			vi.advanceTimersByTime(8000);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+
+			vi.advanceTimersByTime(2000);
+			expect(refreshHandler).toHaveBeenCalledTimes(2);
+			expect(refreshHandler.mock.calls[1][0].detail.source).toBe('auto');
+		});
+
+		it('should keep polling when canRefresh vetoes a tick', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			let allowed = false;
+			element.canRefresh = () => allowed;
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '1s');
+
+			vi.advanceTimersByTime(1000);
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			allowed = true;
+			vi.advanceTimersByTime(1000);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should pause while the document is hidden', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '1s');
+
+			vi.advanceTimersByTime(500);
+			setHidden(true);
+			vi.advanceTimersByTime(5000);
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			setHidden(false);
+			vi.advanceTimersByTime(999);
+			expect(refreshHandler).not.toHaveBeenCalled();
+			vi.advanceTimersByTime(1);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should stop while disconnected and resume when reconnected', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '1s');
+
+			element.remove();
+			vi.advanceTimersByTime(5000);
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			document.body.appendChild(element);
+			vi.advanceTimersByTime(1000);
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should stop when auto-refresh is removed', () => {
+			const refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			element.setAttribute('auto-refresh', '1s');
+
+			element.removeAttribute('auto-refresh');
+			vi.advanceTimersByTime(5000);
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Stale Content', () => {
+		let hidden;
+		let refreshHandler;
+
+		beforeEach(() => {
+			vi.useFakeTimers();
+			hidden = false;
+			Object.defineProperty(document, 'hidden', {
+				configurable: true,
+				get: () => hidden,
+			});
+			element.remove();
+			element = document.createElement('pull-to-refresh');
+			element.setAttribute('stale-after', '30m');
+			refreshHandler = vi.fn((e) => e.detail.complete());
+			element.addEventListener('ptr:refresh', refreshHandler);
+			document.body.appendChild(element);
+		});
+
+		afterEach(() => {
+			delete document.hidden;
+			vi.useRealTimers();
+		});
+
+		const becomeVisible = () => {
+			hidden = true;
+			document.dispatchEvent(new Event('visibilitychange'));
+			hidden = false;
+			document.dispatchEvent(new Event('visibilitychange'));
+		};
+
+		it('should parse stale-after as a duration', () => {
+			expect(element.staleAfter).toBe(1800000);
+
+			element.staleAfter = 5000;
+			expect(element.getAttribute('stale-after')).toBe('5000');
+			expect(element.staleAfter).toBe(5000);
+			element.setAttribute('stale-after', '60000');
+			expect(element.staleAfter).toBe(60000);
+			element.staleAfter = null;
+			expect(element.hasAttribute('stale-after')).toBe(false);
+		});
+
+		it('should record lastRefreshed after a successful refresh', () => {
+			expect(element.lastRefreshed).toBeNull();
+
+			vi.setSystemTime(new Date('2024-05-01T12:00:00Z'));
+			element.triggerRefresh();
+
+			expect(element.lastRefreshed).toEqual(
+				new Date('2024-05-01T12:00:00Z'),
+			);
+		});
+
+		it('should not record lastRefreshed when a refresh fails', () => {
+			refreshHandler.mockImplementation(() => {});
+			element.triggerRefresh();
+			element.failRefresh(new Error('Offline'));
+
+			expect(element.lastRefreshed).toBeNull();
+		});
+
+		it('should refresh when the page becomes visible with stale content', () => {
+			vi.advanceTimersByTime(10 * 60000);
+			becomeVisible();
+			expect(refreshHandler).not.toHaveBeenCalled();
+
+			vi.advanceTimersByTime(20 * 60000);
+			becomeVisible();
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+			expect(refreshHandler.mock.calls[0][0].detail.source).toBe('stale');
+		});
+
+		it('should measure staleness from the last refresh', () => {
+			vi.advanceTimersByTime(25 * 60000);
+			element.triggerRefresh();
+			vi.advanceTimersByTime(25 * 60000);
+			becomeVisible();
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should refresh stale content when the network comes back', () => {
+			vi.advanceTimersByTime(30 * 60000);
+			window.dispatchEvent(new Event('online'));
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should refresh stale content when reconnected', () => {
+			element.remove();
+			vi.advanceTimersByTime(30 * 60000);
+			document.body.appendChild(element);
+
+			expect(refreshHandler).toHaveBeenCalledTimes(1);
+		});
+
+		it('should not refresh without stale-after', () => {
+			element.removeAttribute('stale-after');
+			vi.advanceTimersByTime(24 * 3600000);
+			becomeVisible();
+			window.dispatchEvent(new Event('online'));
+
+			expect(refreshHandler).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Last Updated', () => {
+		let lastUpdated;
+
+		beforeEach(() => {
+			vi.useFakeTimers();
+			vi.setSystemTime(new Date('2024-05-01T12:00:00Z'));
+			element.showLastUpdated = true;
+			lastUpdated = element.shadowRoot.querySelector('.ptr-last-updated');
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		const refresh = () => {
+			element.triggerRefresh();
+			element.completeRefresh();
+		};
+
+		it('should stay hidden until a refresh succeeds', () => {
+			expect(lastUpdated.getAttribute('part')).toBe('last-updated');
+			expect(lastUpdated.hidden).toBe(true);
+
+			refresh();
+
+			expect(lastUpdated.hidden).toBe(false);
+			expect(lastUpdated.textContent).toBe('Updated now');
 		});
-	});
 
-	describe('Refresh Lifecycle', () => {
-		it('should set isRefreshing to true during refresh', () => {
-			expect(element.isRefreshing).toBe(false);
-			element.triggerRefresh();
-			expect(element.isRefreshing).toBe(true);
+		it('should stay hidden without show-last-updated', () => {
+			element.showLastUpdated = false;
+			refresh();
+
+			expect(lastUpdated.hidden).toBe(true);
 		});
 
-		it('should set isRefreshing to false after completion', () => {
-			element.addEventListener('ptr:refresh', (e) => {
-				e.detail.complete();
-			});
+		it('should describe the time since the last refresh', () => {
+			refresh();
+			vi.advanceTimersByTime(3 * 60000);
+			element.triggerRefresh();
+
+			expect(lastUpdated.textContent).toBe('Updated 3 minutes ago');
+		});
 
+		it('should keep the line current while the indicator is out', () => {
+			element.refreshTimeout = 0;
+			refresh();
 			element.triggerRefresh();
-			expect(element.isRefreshing).toBe(false);
+			expect(lastUpdated.textContent).toBe('Updated now');
+
+			vi.advanceTimersByTime(60000);
+			expect(lastUpdated.textContent).toBe('Updated 1 minute ago');
+
+			vi.advanceTimersByTime(2 * 3600000);
+			expect(lastUpdated.textContent).toBe('Updated 2 hours ago');
 		});
 
-		it('should update indicator text during refresh', () => {
+		it('should stop updating once the indicator is idle', () => {
+			refresh();
+			vi.advanceTimersByTime(1000);
+			expect(element.state).toBe('idle');
+			expect(vi.getTimerCount()).toBe(0);
+		});
+
+		it('should format the time in the resolved language', () => {
+			element.lang = 'de';
+			refresh();
+			vi.advanceTimersByTime(2 * 86400000);
 			element.triggerRefresh();
-			const indicator =
-				element.shadowRoot.querySelector('.ptr-indicator');
-			expect(indicator.textContent.trim()).toBe('⏳ Refreshing...');
+
+			expect(lastUpdated.textContent).toBe('Aktualisiert vorgestern');
 		});
 
-		it('should reset indicator after completion', () => {
-			element.addEventListener('ptr:refresh', (e) => {
-				e.detail.complete();
+		it('should still show the time when the language tag is invalid', () => {
+			element.setAttribute('lang', 'en_US');
+			refresh();
+
+			expect(lastUpdated.textContent).toBe('Updated now');
+			expect(element.state).toBe('completing');
+		});
+	});
+
+	describe('Cooldown & Coalescing', () => {
+		const pullDown = (distance) => {
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: distance }),
+			);
+			element.handleEnd();
+		};
+
+		describe('min-interval', () => {
+			let refreshHandler;
+			let skippedHandler;
+
+			beforeEach(() => {
+				vi.useFakeTimers();
+				element.minInterval = '30s';
+				refreshHandler = vi.fn((e) => e.detail.complete());
+				skippedHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+				element.addEventListener('ptr:refresh-skipped', skippedHandler);
+			});
+
+			afterEach(() => {
+				vi.useRealTimers();
+			});
+
+			it('should parse min-interval as a duration', () => {
+				expect(element.minInterval).toBe(30000);
+				element.minInterval = 0;
+				expect(element.hasAttribute('min-interval')).toBe(false);
+			});
+
+			it('should skip pulls released within the cooldown', () => {
+				pullDown(200);
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+
+				vi.advanceTimersByTime(10000);
+				pullDown(200);
+
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+				expect(skippedHandler).toHaveBeenCalledTimes(1);
+				expect(skippedHandler.mock.calls[0][0].detail).toEqual({
+					reason: 'min-interval',
+					source: 'pull',
+				});
+				// The message shows in the completing state, not in idle
+				expect(element.state).toBe('completing');
+				expect(
+					element.shadowRoot
+						.querySelector('.ptr-indicator')
+						.getAttribute('part'),
+				).toContain('success');
+
+				vi.advanceTimersByTime(1500);
+				vi.runOnlyPendingTimers();
+				expect(element.state).toBe('idle');
+			});
+
+			it('should briefly show the up to date message', () => {
+				const text = element.shadowRoot.querySelector(
+					'.ptr-indicator-text',
+				);
+				element.triggerRefresh();
+				vi.advanceTimersByTime(1000);
+
+				element.triggerRefresh({ source: 'button' });
+				expect(text.textContent).toBe('✓ Up to date');
+
+				vi.advanceTimersByTime(1500);
+				expect(text.textContent).toBe('↓ Pull to refresh');
+			});
+
+			it('should use up-to-date-text when set', () => {
+				element.upToDateText = 'Nothing new';
+				const text = element.shadowRoot.querySelector(
+					'.ptr-indicator-text',
+				);
+				element.triggerRefresh();
+				element.triggerRefresh({ source: 'keyboard' });
+
+				expect(text.textContent).toBe('Nothing new');
+			});
+
+			it('should refresh again once the cooldown passes', () => {
+				pullDown(200);
+				vi.advanceTimersByTime(30000);
+				pullDown(200);
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+				expect(skippedHandler).not.toHaveBeenCalled();
+			});
+
+			it('should not throttle refreshes from the API', () => {
+				element.triggerRefresh();
+				element.triggerRefresh();
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+			});
+
+			it('should not start the cooldown after a failed refresh', () => {
+				refreshHandler.mockImplementation(() => {});
+				element.triggerRefresh({ source: 'button' });
+				element.failRefresh(new Error('Offline'));
+				element.triggerRefresh({ source: 'button' });
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+			});
+		});
+
+		describe('coalesce', () => {
+			it('should join the running refresh by default', () => {
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				const first = element.triggerRefresh();
+				const second = element.triggerRefresh();
+
+				expect(second).toBe(first);
+				expect(element.coalesce).toBe('join');
+				element.completeRefresh();
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
 			});
 
+			it('should run one queued refresh after the running one', async () => {
+				element.coalesce = 'queue';
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				element.triggerRefresh();
+				const queued = element.triggerRefresh({ source: 'websocket' });
+				const again = element.triggerRefresh();
+				expect(again).toBe(queued);
+
+				element.completeRefresh();
+				await Promise.resolve();
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+				expect(refreshHandler.mock.calls[1][0].detail.source).toBe(
+					'websocket',
+				);
+				expect(element.isRefreshing).toBe(true);
+
+				element.completeRefresh();
+				await queued;
+				await Promise.resolve();
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+			});
+
+			it('should accept coalesce as a triggerRefresh option', async () => {
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				element.triggerRefresh();
+				element.triggerRefresh({ coalesce: 'queue' });
+				element.completeRefresh();
+				await Promise.resolve();
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+				expect(element.state).toBe('refreshing');
+			});
+
+			it('should drop the queued refresh when the running one fails', async () => {
+				element.coalesce = 'queue';
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				element.triggerRefresh();
+				const queued = element.triggerRefresh();
+				element.failRefresh(new Error('Offline'));
+
+				await expect(queued).resolves.toBeUndefined();
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+				expect(element.state).toBe('error');
+			});
+
+			it('should drop the queued refresh when the running one is canceled', async () => {
+				element.coalesce = 'queue';
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				element.triggerRefresh();
+				const queued = element.triggerRefresh();
+				element.cancelRefresh();
+
+				await expect(queued).resolves.toBeUndefined();
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+			});
+
+			it('should run a queued user refresh despite the cooldown', async () => {
+				element.coalesce = 'queue';
+				element.minInterval = '30s';
+				const refreshHandler = vi.fn();
+				const skippedHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+				element.addEventListener('ptr:refresh-skipped', skippedHandler);
+
+				element.triggerRefresh({ source: 'button' });
+				element.triggerRefresh({ source: 'button' });
+				element.completeRefresh();
+				await Promise.resolve();
+
+				expect(refreshHandler).toHaveBeenCalledTimes(2);
+				expect(skippedHandler).not.toHaveBeenCalled();
+			});
+
+			it('should drop the queued refresh when disconnected', async () => {
+				element.coalesce = 'queue';
+				const refreshHandler = vi.fn();
+				element.addEventListener('ptr:refresh', refreshHandler);
+
+				element.triggerRefresh();
+				const queued = element.triggerRefresh();
+				element.remove();
+
+				await expect(queued).resolves.toBeUndefined();
+				expect(refreshHandler).toHaveBeenCalledTimes(1);
+			});
+		});
+	});
+
+	describe('Completion Results', () => {
+		let text;
+		let indicator;
+
+		beforeEach(() => {
+			vi.useFakeTimers();
+			text = element.shadowRoot.querySelector('.ptr-indicator-text');
+			indicator = element.shadowRoot.querySelector('.ptr-indicator');
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		const refreshWith = (result) => {
+			element.addEventListener(
+				'ptr:refresh',
+				(e) => e.detail.complete(result),
+				{ once: true },
+			);
 			element.triggerRefresh();
-			const indicator =
-				element.shadowRoot.querySelector('.ptr-indicator');
-			expect(indicator.textContent.trim()).toBe('↓ Pull to refresh');
+		};
+
+		it('should hold a custom message for complete-duration', () => {
+			element.completeDuration = 1000;
+			refreshWith({ message: '✓ Inbox synced' });
+
+			expect(text.textContent).toBe('✓ Inbox synced');
+			expect(element.state).toBe('completing');
+			expect(indicator.getAttribute('part')).toContain('success');
+			expect(indicator.style.transform).toContain('0px');
+
+			vi.advanceTimersByTime(1000);
+			expect(text.textContent).toBe('↓ Pull to refresh');
+			expect(indicator.getAttribute('part')).not.toContain('success');
+
+			vi.advanceTimersByTime(1000);
+			expect(element.state).toBe('idle');
+		});
+
+		it('should pluralize count messages', () => {
+			refreshWith({ count: 5 });
+			expect(text.textContent).toBe('✓ 5 new items');
+
+			vi.advanceTimersByTime(5000);
+			refreshWith({ count: 1 });
+			expect(text.textContent).toBe('✓ 1 new item');
+		});
+
+		it('should report no new items as up to date', () => {
+			refreshWith({ count: 0 });
+
+			expect(text.textContent).toBe('✓ Up to date');
+		});
+
+		it('should settle the refresh when the language tag is invalid', async () => {
+			element.setAttribute('lang', 'en_US');
+			element.addEventListener(
+				'ptr:refresh',
+				(e) => e.detail.complete({ count: 2 }),
+				{ once: true },
+			);
+
+			await expect(element.triggerRefresh()).resolves.toBeUndefined();
+			expect(text.textContent).toBe('✓ 2 new items');
+		});
+
+		it('should use the plural rules of the resolved language', () => {
+			element.lang = 'ru';
+			refreshWith({ count: 3 });
+			expect(text.textContent).toBe('✓ 3 новых элемента');
+
+			vi.advanceTimersByTime(5000);
+			refreshWith({ count: 11 });
+			expect(text.textContent).toBe('✓ 11 новых элементов');
+		});
+
+		it('should format counts for the language', () => {
+			element.lang = 'de';
+			refreshWith({ count: 1200 });
+
+			expect(text.textContent).toBe('✓ 1.200 neue Einträge');
+		});
+
+		it('should retract right away without a result', () => {
+			refreshWith();
+
+			expect(text.textContent).toBe('↓ Pull to refresh');
+			expect(indicator.getAttribute('part')).not.toContain('success');
+		});
+
+		it('should retract right away when complete-duration is 0', () => {
+			element.completeDuration = 0;
+			refreshWith({ count: 5 });
+
+			expect(text.textContent).toBe('↓ Pull to refresh');
+		});
+
+		it('should carry the result in ptr:refresh-complete', () => {
+			const completeHandler = vi.fn();
+			element.addEventListener('ptr:refresh-complete', completeHandler);
+
+			refreshWith({ count: 2 });
+			vi.advanceTimersByTime(5000);
+			refreshWith();
+
+			expect(completeHandler.mock.calls[0][0].detail).toEqual({
+				result: { count: 2 },
+			});
+			expect(completeHandler.mock.calls[1][0].detail).toEqual({
+				result: null,
+			});
+		});
+
+		it('should replace the message when a new pull starts', () => {
+			refreshWith({ count: 5 });
+
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 30 }),
+			);
+
+			expect(text.textContent).toBe('↓ Pull to refresh');
+			expect(element.state).toBe('pulling');
+		});
+	});
+
+	describe('Per-Instance Translations & Locale Loading', () => {
+		const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+		afterEach(() => {
+			PullToRefreshElement.setLocaleLoader(null);
+		});
+
+		it('should apply translations to this element only', () => {
+			const other = document.createElement('pull-to-refresh');
+			document.body.appendChild(other);
+
+			element.translations = { en: { indicator: '↓ Drag me' } };
+
+			expect(element.indicatorText).toBe('↓ Drag me');
+			expect(element.releaseText).toBe('↻ Release to refresh');
+			expect(
+				element.shadowRoot.querySelector('.ptr-indicator-text')
+					.textContent,
+			).toBe('↓ Drag me');
+			expect(other.indicatorText).toBe('↓ Pull to refresh');
+
+			element.translations = null;
+			expect(element.indicatorText).toBe('↓ Pull to refresh');
+		});
+
+		it('should keep a frozen copy of the assigned translations', () => {
+			const translations = { en: { indicator: '↓ Drag me' } };
+			element.translations = translations;
+
+			translations.en.indicator = '↓ Changed';
+			expect(element.indicatorText).toBe('↓ Drag me');
+			expect(Object.isFrozen(element.translations.en)).toBe(true);
+
+			element.translations = { en: { indicator: '↓ Changed' } };
+			expect(element.indicatorText).toBe('↓ Changed');
+		});
+
+		it('should negotiate per-instance translations by language tag', () => {
+			element.translations = {
+				'fr-CA': { indicator: '↓ Tirez pour rafraîchir' },
+			};
+
+			element.setAttribute('lang', 'fr-CA');
+			expect(element.indicatorText).toBe('↓ Tirez pour rafraîchir');
+			expect(element.releaseText).toBe('↻ Relâchez pour actualiser');
+
+			element.setAttribute('lang', 'fr');
+			expect(element.indicatorText).toBe('↓ Tirez pour actualiser');
+		});
+
+		it('should keep translations set before the element upgrades', () => {
+			const pending = document.createElement('div');
+			pending.innerHTML = '<pull-to-refresh></pull-to-refresh>';
+			const upgraded = pending.firstElementChild;
+			upgraded.translations = { en: { indicator: '↓ Early' } };
+			document.body.appendChild(pending);
+
+			expect(upgraded.indicatorText).toBe('↓ Early');
+		});
+
+		it('should load missing locales on demand', async () => {
+			const loader = vi.fn(async () => ({
+				default: { indicator: '↓ Vedä päivittääksesi' },
+			}));
+			PullToRefreshElement.setLocaleLoader(loader);
+
+			element.setAttribute('lang', 'fi');
+			const other = document.createElement('pull-to-refresh');
+			other.setAttribute('lang', 'fi');
+			document.body.appendChild(other);
+			expect(element.indicatorText).toBe('↓ Pull to refresh');
+
+			await flush();
+
+			expect(loader).toHaveBeenCalledTimes(1);
+			expect(loader).toHaveBeenCalledWith('fi');
+			expect(
+				element.shadowRoot.querySelector('.ptr-indicator-text')
+					.textContent,
+			).toBe('↓ Vedä päivittääksesi');
+			expect(other.indicatorText).toBe('↓ Vedä päivittääksesi');
+			expect(other.releaseText).toBe('↻ Release to refresh');
+		});
+
+		it('should not load languages that are already available', () => {
+			const loader = vi.fn(async () => ({}));
+			PullToRefreshElement.setLocaleLoader(loader);
+
+			element.setAttribute('lang', 'de');
+
+			expect(loader).not.toHaveBeenCalled();
+		});
+
+		it('should ask the loader for regional tags the table lacks', async () => {
+			const loader = vi.fn(async (lang) =>
+				lang === 'pt-BR'
+					? { indicator: '↓ Puxe para atualizar' }
+					: null,
+			);
+			PullToRefreshElement.setLocaleLoader(loader);
+
+			element.setAttribute('lang', 'pt-BR');
+			await flush();
+
+			expect(loader).toHaveBeenCalledWith('pt-BR');
+
+			expect(element.indicatorText).toBe('↓ Puxe para atualizar');
+			expect(element.releaseText).toBe(
+				PullToRefreshElement.defaultTranslations.pt.release,
+			);
+		});
+
+		it('should keep the fallback text and retry when loading fails', async () => {
+			const loader = vi
+				.fn()
+				.mockRejectedValueOnce(new Error('Offline'))
+				.mockResolvedValueOnce({ indicator: '↓ Táhněte pro obnovení' });
+			PullToRefreshElement.setLocaleLoader(loader);
+
+			element.setAttribute('lang', 'cs');
+			await flush();
+			expect(element.indicatorText).toBe('↓ Pull to refresh');
+
+			element.setAttribute('lang', 'en');
+			element.setAttribute('lang', 'cs');
+			await flush();
+
+			expect(loader).toHaveBeenCalledTimes(2);
+			expect(element.indicatorText).toBe('↓ Táhněte pro obnovení');
+		});
+
+		it('should ship only English in the core entry', async () => {
+			const core = await import('../pull-to-refresh-core.js');
+
+			// Loading the full entry must not change the core class
+			expect(
+				Object.keys(core.PullToRefreshElement.defaultTranslations),
+			).toEqual(['en']);
+			expect(PullToRefreshElement.prototype).toBeInstanceOf(
+				core.PullToRefreshElement,
+			);
+		});
+
+		it('should keep the inline English in sync with translations.json', async () => {
+			const core = await import('../pull-to-refresh-core.js');
+			const { default: translations } =
+				await import('../translations.json');
+
+			expect(core.PullToRefreshElement.defaultTranslations.en).toEqual(
+				translations.en,
+			);
 		});
 	});
 
@@ -295,6 +3356,34 @@ describe('PullToRefreshElement', () => {
 			expect(completeHandler).toHaveBeenCalled();
 			expect(element.isRefreshing).toBe(false);
 		});
+
+		it.each([
+			['completeRefresh', 'ptr:refresh-complete'],
+			['failRefresh', 'ptr:refresh-error'],
+		])(
+			'should leave a pull alone when %s() is called mid-pull',
+			(method, type) => {
+				const handler = vi.fn();
+				element.addEventListener(type, handler);
+				element.handleStart(
+					new PointerEvent('pointerdown', { clientY: 0 }),
+				);
+				element.handleMove(
+					new PointerEvent('pointermove', { clientY: 200 }),
+				);
+				const indicator =
+					element.shadowRoot.querySelector('.ptr-indicator');
+				const { transform } = indicator.style;
+
+				element[method](new Error('nope'));
+
+				expect(handler).not.toHaveBeenCalled();
+				expect(element.state).toBe('armed');
+				expect(element.isPulling).toBe(true);
+				expect(indicator.style.transform).toBe(transform);
+				expect(indicator.classList.contains('error')).toBe(false);
+			},
+		);
 	});
 
 	describe('Text Selection Control', () => {
@@ -357,6 +3446,50 @@ describe('PullToRefreshElement', () => {
 
 			// Should not trigger because disabled
 			expect(element.disabled).toBe(true);
+			element.triggerRefresh();
+			expect(refreshHandler).not.toHaveBeenCalled();
+			expect(element.state).toBe('disabled');
+		});
+
+		it('should cancel a running refresh when disabled', () => {
+			let signal;
+			element.addEventListener('ptr:refresh', (e) => {
+				signal = e.detail.signal;
+			});
+			element.triggerRefresh();
+
+			element.disabled = true;
+
+			expect(signal.aborted).toBe(true);
+			expect(element.isRefreshing).toBe(false);
+			expect(element.state).toBe('disabled');
+
+			element.disabled = false;
+			expect(element.state).toBe('idle');
+		});
+
+		it('should end a pull in progress when a refresh is triggered', () => {
+			const pullEnd = vi.fn();
+			element.addEventListener('ptr:pull-end', pullEnd);
+			element.handleStart(
+				new PointerEvent('pointerdown', { clientY: 0 }),
+			);
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 40 }),
+			);
+			expect(element.state).toBe('pulling');
+
+			element.triggerRefresh();
+
+			expect(pullEnd).toHaveBeenCalledTimes(1);
+			expect(element.isPulling).toBe(false);
+			expect(element.state).toBe('refreshing');
+			expect(element.isRefreshing).toBe(true);
+
+			element.handleMove(
+				new PointerEvent('pointermove', { clientY: 120 }),
+			);
+			expect(element.state).toBe('refreshing');
 		});
 	});
 
@@ -421,5 +3554,91 @@ describe('PullToRefreshElement', () => {
 			expect(element.releaseText).toBe('↻ Loslaten om te vernieuwen');
 			expect(element.refreshingText).toBe('⏳ Vernieuwen...');
 		});
+
+		it('should negotiate script variants', () => {
+			element.setAttribute('lang', 'zh-TW');
+			expect(element.indicatorText).toBe('↓ 下拉重新整理');
+
+			element.setAttribute('lang', 'zh-Hant-HK');
+			expect(element.indicatorText).toBe('↓ 下拉重新整理');
+
+			element.setAttribute('lang', 'zh-CN');
+			expect(element.indicatorText).toBe('↓ 下拉刷新');
+		});
+
+		it('should prefer regional translations over the base language', () => {
+			PullToRefreshElement.registerTranslations({
+				'pt-PT': { indicator: '↓ Puxe para actualizar' },
+			});
+
+			element.setAttribute('lang', 'pt-PT');
+			expect(element.indicatorText).toBe('↓ Puxe para actualizar');
+			// Keys missing from the regional set come from Portuguese
+			expect(element.releaseText).toBe('↻ Solte para atualizar');
+
+			element.setAttribute('lang', 'pt-BR');
+			expect(element.indicatorText).toBe('↓ Puxe para atualizar');
+		});
+
+		it('should match registered tags case-insensitively', () => {
+			PullToRefreshElement.registerTranslations({
+				'SR-latn': { indicator: '↓ Povucite za osvežavanje' },
+			});
+
+			element.setAttribute('lang', 'sr-Latn-RS');
+			expect(element.indicatorText).toBe('↓ Povucite za osvežavanje');
+		});
+
+		it('should fall back to English for invalid language tags', () => {
+			element.setAttribute('lang', 'en_US');
+			expect(element.indicatorText).toBe('↓ Pull to refresh');
+
+			element.setAttribute('lang', 'ES-mx');
+			expect(element.indicatorText).toBe(
+				PullToRefreshElement.defaultTranslations.es.indicator,
+			);
+		});
+
+		it('should merge repeated registrations key by key', () => {
+			PullToRefreshElement.registerTranslations({
+				'en-GB': { indicator: '↓ Pull to refresh, please' },
+			});
+			PullToRefreshElement.registerTranslations({
+				'en-GB': { release: '↻ Let go to refresh' },
+			});
+
+			element.setAttribute('lang', 'en-GB');
+			expect(element.indicatorText).toBe('↓ Pull to refresh, please');
+			expect(element.releaseText).toBe('↻ Let go to refresh');
+			expect(element.refreshingText).toBe('⏳ Refreshing...');
+		});
+
+		it("should fall back to the user's preferred languages", () => {
+			const languages = vi
+				.spyOn(navigator, 'languages', 'get')
+				.mockReturnValue(['xx-YY', 'de-AT']);
+
+			element.setAttribute('lang', 'xx');
+			expect(element.indicatorText).toBe('↓ Zum Aktualisieren ziehen');
+
+			languages.mockRestore();
+		});
+
+		it('should set dir on the indicators for right-to-left languages', () => {
+			const indicator =
+				element.shadowRoot.querySelector('.ptr-indicator');
+			const loadMoreIndicator = element.shadowRoot.querySelector(
+				'.ptr-load-more-indicator',
+			);
+			expect(indicator.getAttribute('dir')).toBe('ltr');
+
+			element.setAttribute('lang', 'ar-EG');
+			expect(indicator.getAttribute('dir')).toBe('rtl');
+			expect(loadMoreIndicator.getAttribute('dir')).toBe('rtl');
+
+			// Hebrew falls back to English text, which reads left to right
+			element.setAttribute('lang', 'he');
+			expect(indicator.getAttribute('dir')).toBe('ltr');
+		});
 	});
 });